@@ -0,0 +1,224 @@
+/*
+ * Particle Benchmark
+ *
+ * Runs the CPU particle update (ParticleStore.update from js/particle-store.js)
+ * headless: N particles for M frames at a fixed 60 Hz step, in a few setting
+ * scenarios. Expired particles are respawned straight away so every frame
+ * updates N particles. Reports time per frame, time per particle update and
+ * how many garbage collections ran during the timed frames, which start once
+ * warm-up frames stop growing the heap. Each scenario runs
+ * in its own process, so one scenario's JIT state can't show up in another's
+ * numbers. The update loop must not allocate: the run fails if any scenario
+ * collects garbage.
+ *
+ * Usage: npm run bench -- [particles] [frames]
+ *    or: node bench/particle-bench.js [particles] [frames]
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { PerformanceObserver } from 'perf_hooks';
+import { execFileSync } from 'child_process';
+import vm from 'vm';
+
+const PARTICLES = Number(process.argv[2]) || 10000;
+const FRAMES = Number(process.argv[3]) || 600;
+const SCENARIO = process.argv[4];  // Set when running as one scenario's child process
+const WARMUP_BLOCK_FRAMES = 60;
+const MAX_WARMUP_BLOCKS = 50;
+const SETTLED_BLOCK_BYTES = 4096;  // Heap growth over a warm-up block that counts as no allocation
+const DELTA = 1 / 60;
+
+// ========== SETTINGS ==========
+// Overrides of the tool defaults (js/default-settings.js) per scenario
+const SCENARIOS = {
+    // Out of the box: billboards fading out
+    default: {},
+    // Everything that moves: curl float, gravity with a bounce floor, follow, spin and tumble
+    physics: {
+        floatEnabled: true,
+        floatStyle: 'curl',
+        gravityEnabled: true,
+        followEnabled: true,
+        spinEnabled: true,
+        tumbleEnabled: true,
+        disappearMode: 'shrink',
+        appearMode: 'scale',
+        lifetimeCurves: {
+            scale: { enabled: true, smooth: true, points: [{ t: 0, v: 1 }, { t: 0.5, v: 1.4 }, { t: 1, v: 0.6 }] }
+        }
+    },
+    // Surface-aligned particles turning toward the pointer
+    surface: {
+        surfaceAligned: true,
+        spinEnabled: true,
+        lookAtMouseEnabled: true,
+        disappearMode: 'flyaway'
+    },
+    // Curl float on its own: three noise potentials per particle per octave
+    curl: {
+        floatEnabled: true,
+        floatStyle: 'curl'
+    },
+    // Particles pushing off each other (ParticleCollisions) under gravity
+    collisions: {
+        collisionsEnabled: true,
+        gravityEnabled: true
+    }
+};
+
+// ========== SIMULATION ==========
+
+// Mulberry32, so every run spawns the same particles
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Start a particle the way ParticlePool.spawn does, at its slot's spawn point
+// and size. A quarter turn about x (+Z onto +Y) aligns it to a floor.
+function spawn(store, slot, settings, frame, spawnPoints, surfaceAligned) {
+    store.spawn(slot, store.initialScales[slot], settings.lifespan, frame.time, frame.random);
+    const i3 = slot * 3;
+    store.positions[i3] = spawnPoints[i3];
+    store.positions[i3 + 1] = spawnPoints[i3 + 1];
+    store.positions[i3 + 2] = spawnPoints[i3 + 2];
+
+    if (surfaceAligned) {
+        store.surfaceAligned[slot] = 1;
+        store.surfaceRotations[slot * 4] = Math.SQRT1_2;
+        store.surfaceRotations[slot * 4 + 1] = 0;
+        store.surfaceRotations[slot * 4 + 2] = 0;
+        store.surfaceRotations[slot * 4 + 3] = Math.SQRT1_2;
+    }
+}
+
+async function runScenario(name, overrides) {
+    // The tool's scripts are plain browser scripts that export through window
+    globalThis.window = globalThis;
+    const jsDir = join(dirname(fileURLToPath(import.meta.url)), '..', 'js');
+    ['default-settings.js', 'spatial-hash.js', 'simplex-noise.js', 'particle-store.js', 'particle-collisions.js'].forEach((file) => {
+        vm.runInThisContext(readFileSync(join(jsDir, file), 'utf8'), { filename: file });
+    });
+    const { DEFAULT_SETTINGS, ParticleStore, ParticleCollisions, SimplexNoise } = globalThis;
+
+    const { surfaceAligned = false, ...settingOverrides } = overrides;
+    const settings = { ...structuredClone(DEFAULT_SETTINGS), ...settingOverrides };
+    const random = createRandom(1);
+    const store = new ParticleStore(PARTICLES);
+    const matrices = new Float32Array(PARTICLES * 16);
+    const fades = new Float32Array(PARTICLES * 2);
+    const collisions = settings.collisionsEnabled ? new ParticleCollisions() : null;
+    const stores = [store];
+
+    const frame = {
+        time: 0,
+        followTarget: { x: 1, y: 0.5, z: 0 },
+        lookTarget: { x: 1, y: 0.5, z: 0 },
+        cameraPosition: { x: 0, y: 0, z: 10 },
+        cameraFacing: null,
+        boundsPlanes: null,
+        noise: new SimplexNoise(1),
+        random,
+        addFieldAcceleration: null,
+        fieldScale: 0
+    };
+
+    // Random spawn points, sizes and stroke directions, kept per slot: a
+    // particle respawns in the slot it just left (release, then acquire).
+    // Ages are spread over a lifetime, so particles expire a few per frame.
+    const spawnPoints = new Float32Array(PARTICLES * 3);
+    for (let i = 0; i < PARTICLES; i++) {
+        const slot = store.acquire();
+        spawnPoints[slot * 3] = (random() - 0.5) * 10;
+        spawnPoints[slot * 3 + 1] = (random() - 0.5) * 6;
+        spawnPoints[slot * 3 + 2] = (random() - 0.5) * 2;
+        store.initialScales[slot] = 0.5 + random();
+        store.moveDirections[slot * 2] = random() - 0.5;
+        store.moveDirections[slot * 2 + 1] = random() - 0.5;
+        spawn(store, slot, settings, frame, spawnPoints, surfaceAligned);
+        store.ages[slot] = random() * settings.lifespan;
+    }
+
+    // Frames run in one loop, so the JIT optimizes the respawning along with the
+    // update: run once per frame, it would stay unoptimized and allocate
+    const runFrames = (count) => {
+        for (let f = 0; f < count; f++) {
+            frame.time += DELTA;
+            if (collisions) collisions.resolve(stores, DELTA, settings);
+            const expiredCount = store.update(DELTA, settings, frame, matrices, fades);
+            for (let i = 0; i < expiredCount; i++) {
+                store.release(store.expired[i]);
+                spawn(store, store.acquire(), settings, frame, spawnPoints, surfaceAligned);
+            }
+        }
+    };
+
+    // Warm up for a whole particle lifetime, so every branch (e.g. the first
+    // floor bounce) has run, then until a block of frames leaves the heap as it
+    // was: a branch first taken after the update was optimized deopts it, and
+    // frames allocate until it is optimized again. A loop that really allocates
+    // never settles, and its collections show in the timed frames.
+    const lifetimeFrames = Math.ceil((settings.lifespan + settings.exitDuration) / DELTA);
+    let warmupFrames = 0;
+    for (let block = 0; block < MAX_WARMUP_BLOCKS; block++) {
+        const heapBefore = process.memoryUsage().heapUsed;
+        runFrames(WARMUP_BLOCK_FRAMES);
+        const allocated = process.memoryUsage().heapUsed - heapBefore;  // Negative across a collection
+        warmupFrames += WARMUP_BLOCK_FRAMES;
+        if (warmupFrames >= lifetimeFrames && allocated >= 0 && allocated < SETTLED_BLOCK_BYTES) break;
+    }
+
+    // Start the timed frames with an empty young generation. A full collection
+    // would throw away the optimized code the warm-up produced.
+    globalThis.gc({ type: 'minor' });
+    let collections = 0;
+    const observer = new PerformanceObserver((list) => { collections += list.getEntries().length; });
+    observer.observe({ entryTypes: ['gc'] });
+    const start = process.hrtime.bigint();
+    runFrames(FRAMES);
+    const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+    // GC entries are delivered asynchronously
+    await new Promise((resolve) => setImmediate(resolve));
+    collections += observer.takeRecords().length;
+    observer.disconnect();
+
+    return {
+        scenario: name,
+        'ms / frame': (elapsedMs / FRAMES).toFixed(3),
+        'ns / particle': (elapsedMs * 1e6 / (FRAMES * PARTICLES)).toFixed(1),
+        'warm-up frames': warmupFrames,
+        'GCs': collections
+    };
+}
+
+// ========== REPORT ==========
+if (SCENARIO) {
+    // Child process: run one scenario and hand the result back as JSON
+    console.log(JSON.stringify(await runScenario(SCENARIO, SCENARIOS[SCENARIO])));
+} else {
+    console.log(`Particle update: ${PARTICLES} particles x ${FRAMES} frames (after warm-up)`);
+    // Feedback allocated up front: lazily it can miss the first call's entry, and
+    // the deopt that follows shows up as a burst of collections mid-run
+    const script = fileURLToPath(import.meta.url);
+    const results = Object.keys(SCENARIOS).map((name) => JSON.parse(execFileSync(
+        process.execPath,
+        ['--expose-gc', '--no-lazy-feedback-allocation', script, String(PARTICLES), String(FRAMES), name],
+        { encoding: 'utf8' }
+    )));
+    console.table(results);
+
+    const allocating = results.filter(result => result.GCs > 0);
+    if (allocating.length > 0) {
+        console.error(`Update loop allocates: garbage collected during ${allocating.map(result => result.scenario).join(', ')}`);
+        process.exitCode = 1;
+    }
+}
@@ -0,0 +1,190 @@
+/*
+ * Curve Editor
+ *
+ * Canvas editor for "over lifetime" curves. A curve is a list of keyframes
+ * ({ t, v }, t in 0-1) joined by linear or smooth (ease in/out) segments.
+ * Used by the Lifetime Curves controls in the 3D Trail tool.
+ */
+
+class CurveEditor {
+    /**
+     * @param {HTMLCanvasElement} canvas - Drawing surface, also receives pointer input
+     * @param {Function} onChange - Called after every edit
+     */
+    constructor(canvas, onChange = null) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.onChange = onChange;
+        this.curve = null;
+        this.range = [0, 2];
+        this.dragIndex = -1;
+        this.padding = 8;
+
+        canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        canvas.addEventListener('pointerup', () => { this.dragIndex = -1; });
+        canvas.addEventListener('dblclick', (e) => this.onDoubleClick(e));
+    }
+
+    /**
+     * Edit a curve object in place
+     * @param {Object} curve - { enabled, smooth, points: [{ t, v }] }
+     * @param {Array} range - [min, max] of the value axis
+     */
+    setCurve(curve, range) {
+        this.curve = curve;
+        this.range = range;
+        this.dragIndex = -1;
+        this.draw();
+    }
+
+    /**
+     * Redraw grid, curve and keyframes
+     */
+    draw() {
+        const { ctx, canvas, curve } = this;
+        const textColor = getComputedStyle(canvas).getPropertyValue('--chatooly-color-text').trim() || '#cccccc';
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (!curve) return;
+
+        // Quarter grid
+        ctx.strokeStyle = textColor;
+        ctx.globalAlpha = 0.15;
+        ctx.lineWidth = 1;
+        for (let i = 0; i <= 4; i++) {
+            const x = this.toCanvasX(i / 4);
+            const y = this.padding + (canvas.height - this.padding * 2) * i / 4;
+            ctx.beginPath();
+            ctx.moveTo(x, this.padding);
+            ctx.lineTo(x, canvas.height - this.padding);
+            ctx.moveTo(this.padding, y);
+            ctx.lineTo(canvas.width - this.padding, y);
+            ctx.stroke();
+        }
+
+        // Curve
+        ctx.globalAlpha = curve.enabled ? 1 : 0.4;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let i = 0; i <= 64; i++) {
+            const t = i / 64;
+            const x = this.toCanvasX(t);
+            const y = this.toCanvasY(CurveEditor.evaluate(curve, t));
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        }
+        ctx.stroke();
+
+        // Keyframes
+        ctx.fillStyle = textColor;
+        curve.points.forEach((point) => {
+            ctx.beginPath();
+            ctx.arc(this.toCanvasX(point.t), this.toCanvasY(point.v), 4, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Evaluate a curve at t (see ParticleStore.evaluateCurve)
+     * @param {Object} curve - { smooth, points: [{ t, v }] } with points sorted by t
+     * @param {number} t - Position along the curve, 0-1
+     * @returns {number}
+     */
+    static evaluate(curve, t) {
+        const scratch = CurveEditor.evaluateScratch;
+        scratch[0] = t;
+        ParticleStore.evaluateCurve(curve, scratch, 0);
+        return scratch[0];
+    }
+
+    // ========== POINTER EDITING ==========
+    // Click empty space to add a keyframe, drag to move, double-click to remove.
+    // The first and last keyframes stay pinned to t = 0 and t = 1.
+
+    onPointerDown(e) {
+        if (!this.curve) return;
+        const { t, v } = this.getCurvePosition(e);
+
+        this.dragIndex = this.hitTest(e);
+        if (this.dragIndex === -1) {
+            const insertAt = this.curve.points.findIndex(point => point.t > t);
+            if (insertAt <= 0) return;
+            this.curve.points.splice(insertAt, 0, { t, v });
+            this.dragIndex = insertAt;
+            this.changed();
+        }
+        this.canvas.setPointerCapture(e.pointerId);
+    }
+
+    onPointerMove(e) {
+        if (!this.curve || this.dragIndex === -1) return;
+        const points = this.curve.points;
+        const point = points[this.dragIndex];
+        const { t, v } = this.getCurvePosition(e);
+
+        point.v = v;
+        if (this.dragIndex > 0 && this.dragIndex < points.length - 1) {
+            // Keep keyframes ordered
+            point.t = Math.min(Math.max(t, points[this.dragIndex - 1].t), points[this.dragIndex + 1].t);
+        }
+        this.changed();
+    }
+
+    onDoubleClick(e) {
+        if (!this.curve) return;
+        const index = this.hitTest(e);
+        if (index > 0 && index < this.curve.points.length - 1) {
+            this.curve.points.splice(index, 1);
+            this.dragIndex = -1;
+            this.changed();
+        }
+    }
+
+    changed() {
+        this.draw();
+        if (this.onChange) this.onChange(this.curve);
+    }
+
+    // Index of the keyframe under the pointer, or -1
+    hitTest(e) {
+        const { x, y } = this.getCanvasPosition(e);
+        return this.curve.points.findIndex(point =>
+            Math.hypot(this.toCanvasX(point.t) - x, this.toCanvasY(point.v) - y) <= 8
+        );
+    }
+
+    getCanvasPosition(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * (this.canvas.width / rect.width),
+            y: (e.clientY - rect.top) * (this.canvas.height / rect.height)
+        };
+    }
+
+    getCurvePosition(e) {
+        const { x, y } = this.getCanvasPosition(e);
+        const [min, max] = this.range;
+        const width = this.canvas.width - this.padding * 2;
+        const height = this.canvas.height - this.padding * 2;
+        const t = Math.min(1, Math.max(0, (x - this.padding) / width));
+        const v = Math.min(max, Math.max(min, max - (y - this.padding) / height * (max - min)));
+        return { t, v };
+    }
+
+    toCanvasX(t) {
+        return this.padding + t * (this.canvas.width - this.padding * 2);
+    }
+
+    toCanvasY(v) {
+        const [min, max] = this.range;
+        return this.padding + (max - v) / (max - min) * (this.canvas.height - this.padding * 2);
+    }
+}
+
+// Scratch for evaluate()
+CurveEditor.evaluateScratch = new Float64Array(1);
+
+// Export to global scope
+window.CurveEditor = CurveEditor;
@@ -0,0 +1,192 @@
+/*
+ * 3D Trail Tool - Default Settings
+ *
+ * Starting value of every tool setting. main.js edits a copy (settings);
+ * bench/particle-bench.js builds its scenarios on top of these.
+ */
+
+window.DEFAULT_SETTINGS = {
+    // Model library (only used when 2+ models are loaded)
+    modelSelectionMode: 'random',  // 'random' | 'sequence' | 'weighted' | 'speed'
+    modelWeights: [],              // Relative weight per library slot (weighted mode)
+
+    // Embedded GLB animation (skinned / morph-target clips baked to a vertex animation texture)
+    modelAnimationEnabled: true,
+    modelAnimationClip: 0,         // Clip index (clamped per model)
+    modelAnimationSpeed: 1,        // Playback rate multiplier
+    modelAnimationPhase: 'spawn',  // 'spawn' (each instance starts at frame 0) | 'random'
+
+    // Trail settings
+    emissionMode: 'distance',  // 'distance' (every `spacing` along the stroke) | 'rate' (per second while held) | 'continuous' (also while hovering)
+    emissionRate: 30,          // particles per second for 'rate' and 'continuous'
+    spacing: 20,          // distance between particles, in spacingUnit
+    spacingUnit: 'pixels',     // 'pixels' (screen) | 'world' (units on the drawing plane) | 'percent' (of canvas width)
+    strokeSmoothing: 'none',  // 'none' | 'catmullRom' (curve through samples) | 'stabilizer' (lazy brush)
+    stabilizerRadius: 25,     // pixels the pointer leads the lazy brush by
+    size: 1.0,           // Single size value (used when randomSize and sizeBySpeed are OFF)
+    sizeMin: 0.5,
+    sizeMax: 1.5,
+    randomSize: false,   // Random size within min/max range
+    sizeBySpeed: false,  // Size varies with mouse speed
+
+    // Pen drivers: 'none' | 'pressure' | 'tilt' | 'twist'
+    sizeDriver: 'none',       // Size between sizeMin and sizeMax
+    spacingDriver: 'none',    // Higher values pack particles tighter
+    rotationDriver: 'none',   // Roll around the facing axis
+    colorDriver: 'none',      // Tint from white toward driverTintColor
+    driverTintColor: '#ff4d4d',
+    lifespan: 3.0,
+    exitDuration: 1.0,
+    disappearMode: 'fade',
+    enterDuration: 0.4,
+    appearMode: 'none',  // 'none' | 'scale' (elastic) | 'fade' | 'drop' | 'spin'
+
+    // Over-lifetime curves, evaluated against age / lifespan (see js/curve-editor.js).
+    // Values are multipliers on the matching setting; colorMix replaces the age blend ratio.
+    lifetimeCurves: {
+        scale: { enabled: false, smooth: true, points: [{ t: 0, v: 1 }, { t: 1, v: 1 }] },
+        rotationSpeed: { enabled: false, smooth: true, points: [{ t: 0, v: 1 }, { t: 1, v: 1 }] },
+        floatAmplitude: { enabled: false, smooth: true, points: [{ t: 0, v: 1 }, { t: 1, v: 1 }] },
+        gravity: { enabled: false, smooth: true, points: [{ t: 0, v: 1 }, { t: 1, v: 1 }] },
+        colorMix: { enabled: false, smooth: true, points: [{ t: 0, v: 0 }, { t: 1, v: 1 }] }
+    },
+    maxParticles: 1000,  // Starting instance capacity per pool (split pools share it)
+    autoGrowPool: true,  // Double a full pool's capacity instead of dropping particles
+    overflowPolicy: 'drop',  // When full and not growing: 'drop' new | 'recycle' oldest | 'expire' oldest early, new one placed
+    gpuSimulation: false,    // Update particles on the GPU when the renderer and active features allow it
+    randomSeed: 1,       // Seed for all particle randomness (same seed + same gesture = same trail)
+
+    // Movement
+    floatEnabled: false,
+    floatStyle: 'oscillate',  // 'oscillate', 'random', 'perlin', 'curl' (divergence-free 3D flow)
+    floatAmplitude: 0.3,
+    curlNoiseScale: 0.3,      // Spatial frequency of the curl flow (smaller = bigger swirls)
+    curlNoiseSpeed: 0.2,      // How fast the flow pattern evolves
+    curlNoiseOctaves: 2,      // Layers of finer swirls
+    followEnabled: false,
+    followStrength: 0.1,
+
+    // Object facing
+    facingMode: 'billboard',
+    fixedAngleX: 0,
+    fixedAngleY: 0,
+    fixedAngleZ: 0,
+
+    // Look at Mouse animation settings
+    lookAtMouseEnabled: false,
+    lookAtMouseStrength: 0.5,
+    lookAtMaxAngleLeft: 360,
+    lookAtMaxAngleRight: 360,
+    lookAtMaxAngleUp: 360,
+    lookAtMaxAngleDown: 360,
+
+    // Physics
+    gravityEnabled: false,
+    gravityStrength: 9.8,
+    spinEnabled: false,
+    spinSpeed: 1.0,
+    tumbleEnabled: false,
+    tumbleSpeed: 1.0,
+    bounceEnabled: true,  // Bounce floor only applies when gravity is enabled
+    bounceHeight: -3,
+    bounceAmount: 0.6,
+
+    // Collisions (particles approximated by spheres, see COLLISIONS in main.js)
+    collisionsEnabled: false,     // Particles push off each other
+    collisionRadius: 1,           // Sphere size relative to the model's bounds
+    boundsEnabled: false,         // Walls along the edges of the visible frustum
+    collisionBounce: 0.4,         // Restitution for particle and wall contacts
+    friction: 0.3,                // Slows sliding along the floor, walls and other particles
+
+    // Force fields (see FORCE FIELDS in main.js)
+    forceFields: [],              // [{ type, position: [x, y, z], direction: [x, y, z], strength, radius, falloff, frequency }]
+    showForceFields: true,        // Draw field guides (never rendered into exports)
+    forceFieldNewType: 'attractor', // Type placed by clicking the canvas in edit mode
+
+    // Drawing target the pointer ray lands on
+    drawTarget: 'plane',          // 'plane' | 'sphere' | 'mesh' (uploaded GLB surface)
+    drawPlaneOrientation: 'front', // 'front' (XY) | 'floor' (XZ) | 'side' (YZ) | 'camera'
+    drawPlaneDepth: 0,            // Plane offset from the origin along its normal
+    drawSphereRadius: 3,
+    drawTargetSize: 5,            // Largest dimension of the uploaded surface mesh, world units
+    showDrawTarget: true,         // Render the surface mesh / sphere guide
+    alignToSurface: false,        // Orient particles (+Z) along the hit normal
+    surfaceOffset: 0,             // Lift spawned particles off the surface along the normal
+
+    // Depth control: pushes spawn points along the view ray (positive = away from camera)
+    depthWheelEnabled: true,      // Mouse wheel over the canvas changes depth
+    depthKeysEnabled: true,       // Hold Shift to push away, Alt to pull closer
+    depthStep: 0.25,              // World units per wheel notch
+    depthKeySpeed: 2,             // World units per second while a depth key is held
+    depthLimit: 10,               // Wheel / key depth is clamped to +/- this
+    depthOscillation: false,      // Automatic sine wave on top of the controlled depth
+    depthOscillationAmplitude: 1,
+    depthOscillationSpeed: 0.5,   // Cycles per second
+
+    // Camera
+    cameraX: 0,
+    cameraY: 0,
+    cameraZ: 10,
+    cameraFOV: 65,
+    cameraProjection: 'perspective', // 'perspective' | 'orthographic' (no foreshortening, zoom instead of FOV)
+    cameraZoom: 1,                // Orthographic zoom
+    cameraTargetX: 0,             // Point the camera looks at
+    cameraTargetY: 0,
+    cameraTargetZ: 0,
+    orbitEnabled: false,          // Pointer orbits / pans / dollies the camera instead of drawing
+    orbitDamping: 0.08,           // 0 = no inertia
+    cameraTransitionDuration: 0.8, // Seconds for eased preset / bookmark moves
+    cameraBookmarks: [],          // [{ name, position: [x, y, z], target: [x, y, z], fov }]
+    cameraPathKeyframes: [],      // [{ time, position: [x, y, z], target: [x, y, z], fov }] sorted by time
+    cameraPathEnabled: false,     // Play the path with gesture playback and sequence export
+    cameraPathLoop: false,
+    cameraPathSmooth: true,       // Spline through the keyframes instead of straight segments
+
+    // Custom cursor settings
+    cursorEnabled: false,
+    cursorImage: null,      // Base64 data URL of uploaded image
+    cursorSize: 32,
+
+    // Gesture playback
+    gestureLoop: false,
+
+    // Sequence export (offline, fixed timestep)
+    exportFps: 30,
+    exportDuration: 5,
+    exportScale: 1,
+    exportFormat: 'png',       // 'png' (zipped PNG sequence) or 'webm'
+    exportReplayGesture: true, // Restart the recorded gesture at frame 0
+
+    // Material settings (MatCap style) - always enabled, solid by default
+    materialEnabled: true,
+    materialType: 'solid',  // 'solid', 'gradient', 'matcapUpload', or 'original' (model's own materials)
+    solidColor: '#4a90d9',  // Color for solid material type
+    shaderMode: 'flat',  // 'flat' (no lighting), 'reflective', or 'toon' - shared across all gradients
+
+    // Gradient sets - always at least 1
+    gradientSets: [
+        {
+            name: 'Gradient 1',
+            stops: [
+                { color: '#ff6b6b', position: 0 },
+                { color: '#4ecdc4', position: 50 },
+                { color: '#45b7d1', position: 100 }
+            ],
+            type: 'radial'  // Each gradient has its own type
+        }
+    ],
+    activeGradientIndex: 0,  // Currently editing/selected gradient
+
+    // Multi-gradient settings (only used when gradientSets.length >= 2)
+    multiGradientMode: 'random',  // 'random' | 'lerp' (fade between) | 'time' | 'age'
+    gradientCycleSpeed: 1.0,
+    lerpSteps: 8,  // Steps between gradients for fade mode
+
+    // Lighting (shared)
+    lightColor: '#ffffff',
+    lightPosition: 0.5,
+    lightIntensity: 1.0,
+    rimEnabled: true,
+    rimColor: '#ffffff',
+    rimIntensity: 0.5
+};
@@ -0,0 +1,768 @@
+/*
+ * GPU Particle Simulation
+ *
+ * Runs the particle update on the GPU. State lives in float render targets,
+ * one texel per instance slot (slot i is texel (i % 256, i / 256)), and a
+ * full-screen pass advances every slot per step, ping-ponging between two
+ * targets. New or changed particles are written into their texels by drawing
+ * one point per slot, so the CPU never touches particles that are just moving.
+ * Used by the 3D Trail GPU simulation path: pools own slot ranges and read
+ * the result in their vertex shader (see addInstanceShaderPatch in main.js).
+ */
+
+class GPUParticleSimulation {
+    /**
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {number} capacity - Instance slots (rounded up to whole texture rows)
+     */
+    constructor(renderer, capacity) {
+        const width = GPUParticleSimulation.TEXTURE_WIDTH;
+        this.renderer = renderer;
+        this.rows = Math.max(1, Math.ceil(capacity / width));
+        this.capacity = this.rows * width;
+
+        const targetOptions = {
+            type: THREE.FloatType,
+            format: THREE.RGBAFormat,
+            minFilter: THREE.NearestFilter,
+            magFilter: THREE.NearestFilter,
+            depthBuffer: false,
+            stencilBuffer: false
+        };
+
+        // Dynamic state: (position, age), (velocity, scale), (spin offset, opacity),
+        // (rotation quaternion xyz, dissolve). Scale, opacity and rotation are
+        // render outputs, recomputed every step.
+        this.state = [
+            new THREE.WebGLMultipleRenderTargets(width, this.rows, 4, targetOptions),
+            new THREE.WebGLMultipleRenderTargets(width, this.rows, 4, targetOptions)
+        ];
+        // Per-particle constants: (tumble factor, float phase), (base rotation, pen roll),
+        // (lifespan, initial scale, move direction), (slot in its pool). Lifespan 0 marks a free slot.
+        this.constants = new THREE.WebGLMultipleRenderTargets(width, this.rows, 4, targetOptions);
+        this.readTarget = new THREE.WebGLRenderTarget(width, this.rows, targetOptions);
+
+        this.stateWrites = new Map();     // index -> { store, slot }, full upload
+        this.constantWrites = new Map();  // index -> { store, slot } or null (free)
+        this.noiseSeed = null;
+        this.noiseTexture = new THREE.DataTexture(new Float32Array(512 * 4), 512, 1, THREE.RGBAFormat, THREE.FloatType);
+        this.curveSamples = new Float32Array(GPUParticleSimulation.CURVE_SAMPLES * 4);
+
+        this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        this.scene = new THREE.Scene();
+        this.quad = new THREE.Mesh(new THREE.BufferGeometry(), null);
+        this.quad.geometry.setAttribute('position', new THREE.Float32BufferAttribute([-1, -1, 0, 3, -1, 0, -1, 3, 0], 3));
+        this.quad.frustumCulled = false;
+        this.scene.add(this.quad);
+
+        this.writePoints = new THREE.Points(new THREE.BufferGeometry(), null);
+        this.writePoints.frustumCulled = false;
+        this.writeScene = new THREE.Scene();
+        this.writeScene.add(this.writePoints);
+        this.writeCapacity = 0;
+
+        this.createMaterials();
+        this.checkFramebuffer();
+    }
+
+    // Four drawable float attachments are not guaranteed even with EXT_color_buffer_float
+    checkFramebuffer() {
+        const gl = this.renderer.getContext();
+        const previousTarget = this.renderer.getRenderTarget();
+        this.renderer.setRenderTarget(this.state[0]);
+        const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+        this.renderer.setRenderTarget(previousTarget);
+        if (status !== gl.FRAMEBUFFER_COMPLETE) {
+            this.dispose();
+            throw new Error('Float render targets are incomplete on this GPU');
+        }
+    }
+
+    /**
+     * Whether this renderer can run the simulation at a useful speed
+     * @param {THREE.WebGLRenderer} renderer
+     * @returns {{ supported: boolean, reason: string }}
+     */
+    static checkSupport(renderer) {
+        const gl = renderer.getContext();
+        if (!renderer.capabilities.isWebGL2) {
+            return { supported: false, reason: 'WebGL 2 is not available' };
+        }
+        if (!renderer.extensions.has('EXT_color_buffer_float')) {
+            return { supported: false, reason: 'Float render targets are not supported' };
+        }
+        if (renderer.capabilities.maxVertexTextures < 5 || gl.getParameter(gl.MAX_DRAW_BUFFERS) < 4) {
+            return { supported: false, reason: 'Not enough texture units or draw buffers' };
+        }
+
+        // Software rasterizers run shaders on the CPU, where the pass is slower than the CPU path
+        const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+        const rendererName = String(gl.getParameter(debugInfo ? debugInfo.UNMASKED_RENDERER_WEBGL : gl.RENDERER));
+        if (/swiftshader|llvmpipe|softpipe|software|basic render/i.test(rendererName)) {
+            return { supported: false, reason: `Software rendering (${rendererName})` };
+        }
+        return { supported: true, reason: '' };
+    }
+
+    /**
+     * Upload a particle's full state (position, velocity, spin, age) and constants.
+     * Values are read when the write is drawn, so later edits before the next step still land.
+     * @param {number} index - Simulation slot
+     * @param {ParticleStore} store - Pool storage holding the particle
+     * @param {number} slot - The particle's slot in store
+     */
+    upload(index, store, slot) {
+        const source = { store, slot };
+        this.stateWrites.set(index, source);
+        this.constantWrites.set(index, source);
+    }
+
+    // Refresh only the constants, e.g. after the lifespan was cut short
+    updateConstants(index, store, slot) {
+        this.constantWrites.set(index, { store, slot });
+    }
+
+    // Free a slot: the next step hides it
+    clearSlot(index) {
+        this.stateWrites.delete(index);
+        this.constantWrites.set(index, null);
+    }
+
+    /**
+     * Advance every slot by delta seconds
+     * @param {number} delta
+     * @param {Object} settings - Tool settings (movement, facing, entrance / exit)
+     * @param {Object} frame - { time, followTarget, cameraPosition, cameraFacing, noise, sampleCurve(name, t) }
+     */
+    step(delta, settings, frame) {
+        const renderer = this.renderer;
+        const previousTarget = renderer.getRenderTarget();
+        const previousAutoClear = renderer.autoClear;
+        renderer.autoClear = false;
+
+        this.flushWrites();
+
+        const uniforms = this.simulationMaterial.uniforms;
+        const [read, write] = this.state;
+        uniforms.statePosition.value = read.texture[0];
+        uniforms.stateVelocity.value = read.texture[1];
+        uniforms.stateSpin.value = read.texture[2];
+        uniforms.constantsA.value = this.constants.texture[0];
+        uniforms.constantsB.value = this.constants.texture[1];
+        uniforms.constantsC.value = this.constants.texture[2];
+        uniforms.constantsD.value = this.constants.texture[3];
+        this.setSimulationUniforms(delta, settings, frame);
+
+        this.quad.material = this.simulationMaterial;
+        renderer.setRenderTarget(write);
+        renderer.render(this.scene, this.camera);
+
+        this.state = [write, read];
+
+        renderer.setRenderTarget(previousTarget);
+        renderer.autoClear = previousAutoClear;
+    }
+
+    setSimulationUniforms(delta, settings, frame) {
+        const u = this.simulationMaterial.uniforms;
+        const curveNames = ParticleStore.CURVE_NAMES;
+        const sampleCount = GPUParticleSimulation.CURVE_SAMPLES;
+
+        for (let i = 0; i < sampleCount; i++) {
+            const t = i / (sampleCount - 1);
+            for (let c = 0; c < curveNames.length; c++) {
+                this.curveSamples[i * 4 + c] = frame.sampleCurve(curveNames[c], t);
+            }
+        }
+
+        if (settings.floatEnabled && settings.floatStyle === 'curl') {
+            this.setNoise(frame.noise);
+        }
+
+        u.delta.value = delta;
+        u.time.value = frame.time;
+        u.floatStyle.value = settings.floatEnabled
+            ? GPUParticleSimulation.FLOAT_STYLES.indexOf(settings.floatStyle)
+            : -1;
+        u.floatAmplitude.value = settings.floatAmplitude;
+        u.curlNoise.value.set(settings.curlNoiseScale, settings.curlNoiseSpeed, settings.curlNoiseOctaves);
+        u.gravity.value = settings.gravityEnabled ? settings.gravityStrength : 0;
+        u.follow.value.set(0, 0, 0, 0);
+        if (settings.followEnabled && frame.followTarget) {
+            u.follow.value.set(frame.followTarget.x, frame.followTarget.y, frame.followTarget.z, settings.followStrength);
+        }
+        u.damping.value = Math.pow(0.99, delta * 60);
+        u.bounce.value.set(
+            settings.gravityEnabled && settings.bounceEnabled ? 1 : 0,
+            settings.bounceHeight,
+            settings.bounceAmount,
+            settings.friction
+        );
+        u.spin.value.set(
+            settings.tumbleEnabled ? settings.tumbleSpeed : 0,
+            settings.spinEnabled ? settings.spinSpeed : 0,
+            settings.spinEnabled || settings.tumbleEnabled ? 1 : 0
+        );
+        u.facingMode.value = GPUParticleSimulation.FACING_MODES.indexOf(settings.facingMode);
+        u.fixedAngles.value.set(settings.fixedAngleX, settings.fixedAngleY, settings.fixedAngleZ).multiplyScalar(Math.PI / 180);
+        u.eyePosition.value.copy(frame.cameraPosition);
+        u.cameraFacing.value.set(0, 0, 0);
+        if (frame.cameraFacing) u.cameraFacing.value.copy(frame.cameraFacing);
+        u.appearMode.value = GPUParticleSimulation.APPEAR_MODES.indexOf(settings.appearMode);
+        u.disappearMode.value = GPUParticleSimulation.DISAPPEAR_MODES.indexOf(settings.disappearMode);
+        u.enterDuration.value = settings.enterDuration;
+        u.exitDuration.value = settings.disappearMode === 'snap' ? 0 : settings.exitDuration;
+    }
+
+    // Upload the permutation table of the CPU curl noise so both paths share one field
+    setNoise(noise) {
+        if (this.noiseSeed === noise.seed) return;
+        const data = this.noiseTexture.image.data;
+        for (let i = 0; i < 512; i++) {
+            data[i * 4] = noise.perm[i];
+            data[i * 4 + 1] = noise.permMod12[i];
+        }
+        this.noiseTexture.needsUpdate = true;
+        this.noiseSeed = noise.seed;
+    }
+
+    // Draw queued slot writes as points into the current state and constants targets
+    flushWrites() {
+        if (this.stateWrites.size > 0) {
+            this.fillWritePoints(this.stateWrites, ({ store, slot }, out) => {
+                const i3 = slot * 3;
+                out[0].fromArray(store.positions, i3).setW(store.ages[slot]);
+                out[1].fromArray(store.velocities, i3).setW(0);
+                out[2].fromArray(store.spinOffsets, i3).setW(0);
+            });
+            this.writePoints.material = this.stateWriteMaterial;
+            this.renderer.setRenderTarget(this.state[0]);
+            this.renderer.render(this.writeScene, this.camera);
+            this.stateWrites.clear();
+        }
+
+        if (this.constantWrites.size > 0) {
+            this.fillWritePoints(this.constantWrites, (source, out) => {
+                if (!source) {
+                    out.forEach(value => value.set(0, 0, 0, 0));
+                    return;
+                }
+                const { store, slot } = source;
+                const i3 = slot * 3;
+                out[0].fromArray(store.tumbleFactors, i3).setW(store.phases[slot]);
+                out[1].fromArray(store.baseRotations, i3).setW(store.penRolls[slot]);
+                out[2].set(store.lifespans[slot], store.initialScales[slot], store.moveDirections[slot * 2], store.moveDirections[slot * 2 + 1]);
+                out[3].set(slot, 0, 0, 0);
+            });
+            this.writePoints.material = this.constantWriteMaterial;
+            this.renderer.setRenderTarget(this.constants);
+            this.renderer.render(this.writeScene, this.camera);
+            this.constantWrites.clear();
+        }
+    }
+
+    // Fill the point geometry: one point per slot at its texel centre, plus four vec4 payloads
+    fillWritePoints(writes, fill) {
+        const count = writes.size;
+        if (count > this.writeCapacity) {
+            this.writeCapacity = Math.max(count, this.writeCapacity * 2, 64);
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.writeCapacity * 3), 3));
+            ['data0', 'data1', 'data2', 'data3'].forEach((name) => {
+                geometry.setAttribute(name, new THREE.BufferAttribute(new Float32Array(this.writeCapacity * 4), 4));
+            });
+            this.writePoints.geometry.dispose();
+            this.writePoints.geometry = geometry;
+        }
+
+        const geometry = this.writePoints.geometry;
+        const positions = geometry.attributes.position.array;
+        const data = [geometry.attributes.data0, geometry.attributes.data1, geometry.attributes.data2, geometry.attributes.data3];
+        const out = [new THREE.Vector4(), new THREE.Vector4(), new THREE.Vector4(), new THREE.Vector4()];
+        const width = GPUParticleSimulation.TEXTURE_WIDTH;
+        let i = 0;
+
+        writes.forEach((source, index) => {
+            positions[i * 3] = ((index % width) + 0.5) / width * 2 - 1;
+            positions[i * 3 + 1] = (Math.floor(index / width) + 0.5) / this.rows * 2 - 1;
+            positions[i * 3 + 2] = 0;
+            fill(source, out);
+            out.forEach((value, d) => value.toArray(data[d].array, i * 4));
+            i++;
+        });
+
+        geometry.attributes.position.needsUpdate = true;
+        data.forEach(attribute => { attribute.needsUpdate = true; });
+        geometry.setDrawRange(0, count);
+    }
+
+    /**
+     * Textures the pool's vertex shader reads, from the latest step
+     * @returns {Array} [position, velocity + scale, spin + opacity, rotation + dissolve]
+     */
+    getRenderTextures() {
+        return this.state[0].texture;
+    }
+
+    /**
+     * Read the simulated state back (slow, stalls the GPU - only for handing
+     * particles back to the CPU path)
+     * @returns {{ position: Float32Array, velocity: Float32Array, spin: Float32Array }} RGBA per slot
+     */
+    readState() {
+        const renderer = this.renderer;
+        const previousTarget = renderer.getRenderTarget();
+        const previousAutoClear = renderer.autoClear;
+        renderer.autoClear = false;
+
+        // Slots written since the last step only exist in the queues so far
+        this.flushWrites();
+
+        const [position, velocity, spin] = this.state[0].texture.slice(0, 3).map((texture) => {
+            const buffer = new Float32Array(this.capacity * 4);
+            this.copyMaterial.uniforms.source.value = texture;
+            this.quad.material = this.copyMaterial;
+            renderer.setRenderTarget(this.readTarget);
+            renderer.render(this.scene, this.camera);
+            renderer.readRenderTargetPixels(this.readTarget, 0, 0, GPUParticleSimulation.TEXTURE_WIDTH, this.rows, buffer);
+            return buffer;
+        });
+        renderer.setRenderTarget(previousTarget);
+        renderer.autoClear = previousAutoClear;
+        return { position, velocity, spin };
+    }
+
+    // False once the simulation shader failed to compile or link
+    isRunnable() {
+        const program = this.renderer.properties.get(this.simulationMaterial).currentProgram;
+        return !(program && program.diagnostics && !program.diagnostics.runnable);
+    }
+
+    dispose() {
+        this.state.forEach(target => target.dispose());
+        this.constants.dispose();
+        this.readTarget.dispose();
+        this.noiseTexture.dispose();
+        this.quad.geometry.dispose();
+        this.writePoints.geometry.dispose();
+        [this.simulationMaterial, this.stateWriteMaterial, this.constantWriteMaterial, this.copyMaterial].forEach((material) => {
+            if (material) material.dispose();
+        });
+    }
+
+    createMaterials() {
+        const passOptions = {
+            glslVersion: THREE.GLSL3,
+            depthTest: false,
+            depthWrite: false,
+            blending: THREE.NoBlending
+        };
+        const quadVertexShader = `
+            in vec3 position;
+            void main() {
+                gl_Position = vec4(position.xy, 0.0, 1.0);
+            }`;
+        const writeVertexShader = `
+            in vec3 position;
+            in vec4 data0;
+            in vec4 data1;
+            in vec4 data2;
+            in vec4 data3;
+            flat out vec4 vData0;
+            flat out vec4 vData1;
+            flat out vec4 vData2;
+            flat out vec4 vData3;
+            void main() {
+                vData0 = data0;
+                vData1 = data1;
+                vData2 = data2;
+                vData3 = data3;
+                gl_Position = vec4(position.xy, 0.0, 1.0);
+                gl_PointSize = 1.0;
+            }`;
+
+        this.stateWriteMaterial = new THREE.RawShaderMaterial({
+            ...passOptions,
+            vertexShader: writeVertexShader,
+            fragmentShader: `
+                precision highp float;
+                flat in vec4 vData0;
+                flat in vec4 vData1;
+                flat in vec4 vData2;
+                layout(location = 0) out vec4 outPosition;
+                layout(location = 1) out vec4 outVelocity;
+                layout(location = 2) out vec4 outSpin;
+                layout(location = 3) out vec4 outRotation;
+                void main() {
+                    outPosition = vData0;
+                    outVelocity = vData1;
+                    outSpin = vData2;
+                    outRotation = vec4(0.0);
+                }`
+        });
+
+        this.constantWriteMaterial = new THREE.RawShaderMaterial({
+            ...passOptions,
+            vertexShader: writeVertexShader,
+            fragmentShader: `
+                precision highp float;
+                flat in vec4 vData0;
+                flat in vec4 vData1;
+                flat in vec4 vData2;
+                flat in vec4 vData3;
+                layout(location = 0) out vec4 outConstantsA;
+                layout(location = 1) out vec4 outConstantsB;
+                layout(location = 2) out vec4 outConstantsC;
+                layout(location = 3) out vec4 outConstantsD;
+                void main() {
+                    outConstantsA = vData0;
+                    outConstantsB = vData1;
+                    outConstantsC = vData2;
+                    outConstantsD = vData3;
+                }`
+        });
+
+        this.copyMaterial = new THREE.RawShaderMaterial({
+            ...passOptions,
+            uniforms: { source: { value: null } },
+            vertexShader: quadVertexShader,
+            fragmentShader: `
+                precision highp float;
+                precision highp sampler2D;
+                uniform sampler2D source;
+                layout(location = 0) out vec4 outColor;
+                void main() {
+                    outColor = texelFetch(source, ivec2(gl_FragCoord.xy), 0);
+                }`
+        });
+
+        const offsets = SimplexNoise.POTENTIAL_OFFSETS;
+        const drifts = SimplexNoise.POTENTIAL_DRIFTS;
+        this.simulationMaterial = new THREE.RawShaderMaterial({
+            ...passOptions,
+            uniforms: {
+                statePosition: { value: null },
+                stateVelocity: { value: null },
+                stateSpin: { value: null },
+                constantsA: { value: null },
+                constantsB: { value: null },
+                constantsC: { value: null },
+                constantsD: { value: null },
+                noisePermutation: { value: this.noiseTexture },
+                potentialOffsets: { value: [0, 3, 6].map(o => new THREE.Vector3(offsets[o], offsets[o + 1], offsets[o + 2])) },
+                potentialDrifts: { value: [0, 3, 6].map(o => new THREE.Vector3(drifts[o], drifts[o + 1], drifts[o + 2])) },
+                lifetimeCurves: { value: this.curveSamples },
+                delta: { value: 0 },
+                time: { value: 0 },
+                floatStyle: { value: -1 },
+                floatAmplitude: { value: 0 },
+                curlNoise: { value: new THREE.Vector3() },
+                gravity: { value: 0 },
+                follow: { value: new THREE.Vector4() },
+                damping: { value: 1 },
+                bounce: { value: new THREE.Vector4() },
+                spin: { value: new THREE.Vector3() },
+                facingMode: { value: 0 },
+                fixedAngles: { value: new THREE.Vector3() },
+                eyePosition: { value: new THREE.Vector3() },  // Not cameraPosition: three overwrites that one
+                cameraFacing: { value: new THREE.Vector3() },
+                appearMode: { value: 0 },
+                disappearMode: { value: 0 },
+                enterDuration: { value: 0 },
+                exitDuration: { value: 0 }
+            },
+            vertexShader: quadVertexShader,
+            fragmentShader: GPUParticleSimulation.SIMULATION_SHADER
+        });
+    }
+}
+
+GPUParticleSimulation.TEXTURE_WIDTH = 256;
+GPUParticleSimulation.CURVE_SAMPLES = 33;
+
+// Shader-side indices of the settings string values. The random float style
+// stays on the CPU, which draws from the seeded random() stream.
+GPUParticleSimulation.FLOAT_STYLES = ['oscillate', 'perlin', 'curl'];
+GPUParticleSimulation.FACING_MODES = ['fixed', 'random', 'mouse', 'none', 'billboard'];
+GPUParticleSimulation.APPEAR_MODES = ['none', 'scale', 'fade', 'drop', 'spin'];
+GPUParticleSimulation.DISAPPEAR_MODES = ['snap', 'shrink', 'fade', 'dissolve', 'flyaway', 'pop'];
+
+// Mirrors ParticleStore.update in js/particle-store.js - keep the two in step
+GPUParticleSimulation.SIMULATION_SHADER = `
+    precision highp float;
+    precision highp int;
+    precision highp sampler2D;
+
+    uniform sampler2D statePosition;
+    uniform sampler2D stateVelocity;
+    uniform sampler2D stateSpin;
+    uniform sampler2D constantsA;
+    uniform sampler2D constantsB;
+    uniform sampler2D constantsC;
+    uniform sampler2D constantsD;
+    uniform sampler2D noisePermutation;  // r: perm, g: perm % 12
+    uniform vec3 potentialOffsets[3];
+    uniform vec3 potentialDrifts[3];
+    uniform vec4 lifetimeCurves[${GPUParticleSimulation.CURVE_SAMPLES}];  // scale, rotation speed, float, gravity
+
+    uniform float delta;
+    uniform float time;
+    uniform int floatStyle;      // -1 when float is off
+    uniform float floatAmplitude;
+    uniform vec3 curlNoise;      // scale, speed, octaves
+    uniform float gravity;
+    uniform vec4 follow;         // xyz: target, w: strength (0 = off)
+    uniform float damping;
+    uniform vec4 bounce;         // x: on, y: floor height, z: bounce amount, w: friction
+    uniform vec3 spin;           // x: tumble speed, y: spin speed, z: spin or tumble on
+    uniform int facingMode;
+    uniform vec3 fixedAngles;
+    uniform vec3 eyePosition;
+    uniform vec3 cameraFacing;   // Zero for perspective cameras
+    uniform int appearMode;
+    uniform int disappearMode;
+    uniform float enterDuration;
+    uniform float exitDuration;
+
+    layout(location = 0) out vec4 outPosition;
+    layout(location = 1) out vec4 outVelocity;
+    layout(location = 2) out vec4 outSpin;
+    layout(location = 3) out vec4 outRotation;
+
+    const float PI = 3.141592653589793;
+    const vec3 GRAD3[12] = vec3[12](
+        vec3(1, 1, 0), vec3(-1, 1, 0), vec3(1, -1, 0), vec3(-1, -1, 0),
+        vec3(1, 0, 1), vec3(-1, 0, 1), vec3(1, 0, -1), vec3(-1, 0, -1),
+        vec3(0, 1, 1), vec3(0, -1, 1), vec3(0, 1, -1), vec3(0, -1, -1)
+    );
+
+    vec4 sampleLifetimeCurves(float lifeRatio) {
+        float position = clamp(lifeRatio, 0.0, 1.0) * float(${GPUParticleSimulation.CURVE_SAMPLES - 1});
+        int i = min(int(position), ${GPUParticleSimulation.CURVE_SAMPLES - 2});
+        return mix(lifetimeCurves[i], lifetimeCurves[i + 1], position - float(i));
+    }
+
+    int perm(int i) {
+        return int(texelFetch(noisePermutation, ivec2(i, 0), 0).r);
+    }
+
+    int permMod12(int i) {
+        return int(texelFetch(noisePermutation, ivec2(i, 0), 0).g);
+    }
+
+    float simplexCorner(vec3 d, int gi, inout vec3 gradient) {
+        float falloff = 0.5 - dot(d, d);
+        if (falloff <= 0.0) return 0.0;
+        vec3 g = GRAD3[gi];
+        float gd = dot(g, d);
+        float falloff2 = falloff * falloff;
+        gradient += falloff2 * falloff2 * g - 8.0 * falloff2 * falloff * gd * d;
+        return falloff2 * falloff2 * gd;
+    }
+
+    // Same field and scaling as SimplexNoise.noise3; the gradient goes to 'gradient'
+    float simplex(vec3 p, out vec3 gradient) {
+        gradient = vec3(0.0);
+        vec3 cell = floor(p + (p.x + p.y + p.z) / 3.0);
+        vec3 d0 = p - (cell - (cell.x + cell.y + cell.z) / 6.0);
+
+        ivec3 o1, o2;
+        if (d0.x >= d0.y) {
+            if (d0.y >= d0.z) { o1 = ivec3(1, 0, 0); o2 = ivec3(1, 1, 0); }
+            else if (d0.x >= d0.z) { o1 = ivec3(1, 0, 0); o2 = ivec3(1, 0, 1); }
+            else { o1 = ivec3(0, 0, 1); o2 = ivec3(1, 0, 1); }
+        } else {
+            if (d0.y < d0.z) { o1 = ivec3(0, 0, 1); o2 = ivec3(0, 1, 1); }
+            else if (d0.x < d0.z) { o1 = ivec3(0, 1, 0); o2 = ivec3(0, 1, 1); }
+            else { o1 = ivec3(0, 1, 0); o2 = ivec3(1, 1, 0); }
+        }
+
+        ivec3 c = ivec3(cell) & 255;
+        float value =
+            simplexCorner(d0, permMod12(c.x + perm(c.y + perm(c.z))), gradient) +
+            simplexCorner(d0 - vec3(o1) + 1.0 / 6.0, permMod12(c.x + o1.x + perm(c.y + o1.y + perm(c.z + o1.z))), gradient) +
+            simplexCorner(d0 - vec3(o2) + 2.0 / 6.0, permMod12(c.x + o2.x + perm(c.y + o2.y + perm(c.z + o2.z))), gradient) +
+            simplexCorner(d0 - 1.0 + 3.0 / 6.0, permMod12(c.x + 1 + perm(c.y + 1 + perm(c.z + 1))), gradient);
+        gradient *= 76.0;
+        return value * 76.0;
+    }
+
+    // Same as SimplexNoise.curl3
+    vec3 curl(vec3 p, int octaves, float t) {
+        vec3 grads[3] = vec3[3](vec3(0.0), vec3(0.0), vec3(0.0));
+        float frequency = 1.0;
+        float amplitude = 1.0;
+        float totalAmplitude = 0.0;
+        for (int octave = 0; octave < octaves; octave++) {
+            for (int k = 0; k < 3; k++) {
+                vec3 gradient;
+                simplex(p * frequency + potentialOffsets[k] + t * potentialDrifts[k], gradient);
+                grads[k] += gradient * amplitude;
+            }
+            totalAmplitude += amplitude;
+            frequency *= 2.0;
+            amplitude *= 0.5;
+        }
+        return vec3(grads[2].y - grads[1].z, grads[0].z - grads[2].x, grads[1].x - grads[0].y) / totalAmplitude;
+    }
+
+    // Euler (XYZ order) to quaternion, as THREE.Quaternion.setFromEuler
+    vec4 eulerToQuaternion(vec3 e) {
+        vec3 c = cos(e * 0.5);
+        vec3 s = sin(e * 0.5);
+        return vec4(
+            s.x * c.y * c.z + c.x * s.y * s.z,
+            c.x * s.y * c.z - s.x * c.y * s.z,
+            c.x * c.y * s.z + s.x * s.y * c.z,
+            c.x * c.y * c.z - s.x * s.y * s.z
+        );
+    }
+
+    float easeOutCubic(float t) {
+        return 1.0 - pow(1.0 - t, 3.0);
+    }
+
+    float easeOutElastic(float t) {
+        if (t <= 0.0) return 0.0;
+        if (t >= 1.0) return 1.0;
+        return pow(2.0, -10.0 * t) * sin((t * 10.0 - 0.75) * (2.0 * PI) / 3.0) + 1.0;
+    }
+
+    void main() {
+        ivec2 texel = ivec2(gl_FragCoord.xy);
+        vec4 positionAge = texelFetch(statePosition, texel, 0);
+        vec3 position = positionAge.xyz;
+        vec3 velocity = texelFetch(stateVelocity, texel, 0).xyz;
+        vec3 spinOffset = texelFetch(stateSpin, texel, 0).xyz;
+        vec4 tumblePhase = texelFetch(constantsA, texel, 0);
+        vec4 baseRotationRoll = texelFetch(constantsB, texel, 0);
+        vec4 lifeScaleMove = texelFetch(constantsC, texel, 0);  // lifespan, initial scale, move direction
+        float lifespan = lifeScaleMove.x;
+        float age = positionAge.w + delta;
+
+        // Free or expired slot: park it at scale 0
+        if (age >= lifespan) {
+            outPosition = vec4(position, age);
+            outVelocity = vec4(velocity, 0.0);
+            outSpin = vec4(spinOffset, 0.0);
+            outRotation = vec4(0.0);
+            return;
+        }
+
+        float lifeRatio = age / lifespan;
+        vec4 curves = sampleLifetimeCurves(lifeRatio);
+
+        // Float
+        if (floatStyle >= 0) {
+            float amplitude = floatAmplitude * curves.z;
+            float phase = tumblePhase.w;
+            if (floatStyle == 0) {
+                position.x += sin(time * 2.0 + phase) * amplitude * delta;
+                position.y += cos(time * 2.5 + phase * 1.3) * amplitude * delta;
+            } else if (floatStyle == 1) {
+                float slot = texelFetch(constantsD, texel, 0).x;  // In its pool, as on the CPU
+                float noiseX = sin(time * 0.7 + slot * 0.1) * cos(time * 0.5 + phase);
+                float noiseY = cos(time * 0.6 + slot * 0.1) * sin(time * 0.8 + phase);
+                position.x += noiseX * amplitude * delta;
+                position.y += noiseY * amplitude * delta;
+            } else {
+                position += curl(position * curlNoise.x, int(curlNoise.z), time * curlNoise.y) * amplitude * delta;
+            }
+        }
+
+        // Gravity and follow
+        velocity.y -= gravity * curves.w * delta;
+        if (follow.w > 0.0) {
+            vec3 direction = follow.xyz - position;
+            float distance = length(direction);
+            if (distance > 0.1) velocity += direction / distance * follow.w * delta * 10.0;
+        }
+
+        velocity *= damping;
+        position += velocity * delta * 60.0;
+
+        // Floor bounce with contact friction on the sliding part
+        if (bounce.x > 0.5 && position.y <= bounce.y) {
+            position.y = bounce.y;
+            velocity.y = abs(velocity.y) * bounce.z;
+            if (bounce.w > 0.0) velocity.xz *= pow(1.0 - bounce.w, delta * 60.0);
+        }
+
+        // Spin / tumble accumulate; when both are off the offset decays back to zero
+        if (spin.z > 0.5) {
+            vec3 angularVelocity = spin.x * tumblePhase.xyz + vec3(0.0, spin.y, 0.0);
+            spinOffset += angularVelocity * curves.y * delta;
+        } else {
+            spinOffset *= max(0.0, 1.0 - 3.0 * delta);
+            spinOffset *= step(0.001, abs(spinOffset));
+        }
+
+        // Facing
+        vec3 rotation;
+        if (facingMode == 0) {
+            rotation = fixedAngles + spinOffset;
+        } else if (facingMode == 4) {
+            vec3 lookDir = dot(cameraFacing, cameraFacing) > 0.0 ? cameraFacing : normalize(eyePosition - position);
+            rotation = vec3(
+                atan(-lookDir.y, length(lookDir.xz)),
+                atan(lookDir.x, lookDir.z),
+                0.0
+            ) + spinOffset;
+        } else {
+            rotation = baseRotationRoll.xyz + spinOffset;
+        }
+        rotation.z += baseRotationRoll.w;
+
+        // Exit style
+        float baseScale = lifeScaleMove.y * curves.x;
+        float scale = baseScale;
+        float opacity = 1.0;
+        float dissolve = 0.0;
+        float timeRemaining = lifespan - age;
+        float exitTime = min(exitDuration, lifespan);
+        float exitProgress = (exitTime > 0.0 && timeRemaining <= exitTime) ? 1.0 - timeRemaining / exitTime : 0.0;
+
+        if (disappearMode == 1) {
+            scale = baseScale * (1.0 - exitProgress);
+        } else if (disappearMode == 2) {
+            opacity = 1.0 - exitProgress;
+        } else if (disappearMode == 3) {
+            dissolve = exitProgress;
+        } else if (disappearMode == 4 && exitProgress > 0.0) {
+            float flySpeed = exitProgress * exitProgress * 8.0;
+            position.x += lifeScaleMove.z * flySpeed * delta;
+            position.y += (1.0 - lifeScaleMove.w) * flySpeed * delta;
+            opacity = 1.0 - exitProgress;
+            scale = baseScale * (1.0 - exitProgress * 0.5);
+        } else if (disappearMode == 5) {
+            scale = exitProgress < 0.7
+                ? baseScale * (1.0 + 0.3 * sin((exitProgress / 0.7) * PI / 2.0))
+                : baseScale * 1.3 * (1.0 - (exitProgress - 0.7) / 0.3);
+        }
+
+        // Entrance style (render-only, like the CPU path)
+        float enterTime = min(enterDuration, lifespan);
+        float enterProgress = enterTime > 0.0 ? min(1.0, age / enterTime) : 1.0;
+        if (enterProgress < 1.0) {
+            if (appearMode == 1) {
+                scale *= easeOutElastic(enterProgress);
+            } else if (appearMode == 2) {
+                opacity *= enterProgress;
+            } else if (appearMode == 4) {
+                rotation.y += (1.0 - easeOutCubic(enterProgress)) * PI * 2.0;
+                scale *= easeOutCubic(enterProgress);
+            }
+        }
+
+        // Store the quaternion with w >= 0 so the vertex shader can rebuild w
+        vec4 quaternion = eulerToQuaternion(rotation);
+        if (quaternion.w < 0.0) quaternion = -quaternion;
+
+        outPosition = vec4(position, age);
+        outVelocity = vec4(velocity, scale);
+        outSpin = vec4(spinOffset, opacity);
+        outRotation = vec4(quaternion.xyz, dissolve);
+    }`;
+
+// Export to global scope
+window.GPUParticleSimulation = GPUParticleSimulation;
@@ -28,99 +28,31 @@ function setCanvasDimensions() {
 setCanvasDimensions();
 
 // ========== SETTINGS ==========
-const settings = {
-    // Trail settings (distance-based spawning)
-    spacing: 20,          // pixels between particles
-    size: 1.0,           // Single size value (used when randomSize and sizeBySpeed are OFF)
-    sizeMin: 0.5,
-    sizeMax: 1.5,
-    randomSize: false,   // Random size within min/max range
-    sizeBySpeed: false,  // Size varies with mouse speed
-    lifespan: 3.0,
-    exitDuration: 1.0,
-    disappearMode: 'fade',
-
-    // Movement
-    floatEnabled: false,
-    floatStyle: 'oscillate',  // 'oscillate', 'random', 'perlin'
-    floatAmplitude: 0.3,
-    followEnabled: false,
-    followStrength: 0.1,
-
-    // Object facing
-    facingMode: 'billboard',
-    fixedAngleX: 0,
-    fixedAngleY: 0,
-    fixedAngleZ: 0,
-
-    // Look at Mouse animation settings
-    lookAtMouseEnabled: false,
-    lookAtMouseStrength: 0.5,
-    lookAtMaxAngleLeft: 360,
-    lookAtMaxAngleRight: 360,
-    lookAtMaxAngleUp: 360,
-    lookAtMaxAngleDown: 360,
-
-    // Physics
-    gravityEnabled: false,
-    gravityStrength: 9.8,
-    spinEnabled: false,
-    spinSpeed: 1.0,
-    tumbleEnabled: false,
-    tumbleSpeed: 1.0,
-    bounceEnabled: true,  // Bounce floor only applies when gravity is enabled
-    bounceHeight: -3,
-    bounceAmount: 0.6,
-
-    // Camera
-    cameraX: 0,
-    cameraY: 0,
-    cameraZ: 10,
-    cameraFOV: 65,
-
-    // Custom cursor settings
-    cursorEnabled: false,
-    cursorImage: null,      // Base64 data URL of uploaded image
-    cursorSize: 32,
-
-    // Material settings (MatCap style) - always enabled, solid by default
-    materialEnabled: true,
-    materialType: 'solid',  // 'solid', 'gradient', or 'matcapUpload'
-    solidColor: '#4a90d9',  // Color for solid material type
-    shaderMode: 'flat',  // 'flat' (no lighting), 'reflective', or 'toon' - shared across all gradients
-
-    // Gradient sets - always at least 1
-    gradientSets: [
-        {
-            name: 'Gradient 1',
-            stops: [
-                { color: '#ff6b6b', position: 0 },
-                { color: '#4ecdc4', position: 50 },
-                { color: '#45b7d1', position: 100 }
-            ],
-            type: 'radial'  // Each gradient has its own type
-        }
-    ],
-    activeGradientIndex: 0,  // Currently editing/selected gradient
-
-    // Multi-gradient settings (only used when gradientSets.length >= 2)
-    multiGradientMode: 'random',  // 'random' | 'lerp' (fade between) | 'time' | 'age'
-    gradientCycleSpeed: 1.0,
-    lerpSteps: 8,  // Steps between gradients for fade mode
-
-    // Lighting (shared)
-    lightColor: '#ffffff',
-    lightPosition: 0.5,
-    lightIntensity: 1.0,
-    rimEnabled: true,
-    rimColor: '#ffffff',
-    rimIntensity: 0.5
-};
+// Live settings, starting from the defaults in js/default-settings.js
+const settings = structuredClone(DEFAULT_SETTINGS);
 
 // ========== THREE.JS SETUP ==========
 let renderer, scene, camera;
-let pointerPlane, raycaster, pointer;
+let perspectiveCamera, orthographicCamera;  // camera is whichever projection is active
+let raycaster, pointer;
+let cameraTarget;               // Point the camera looks at (shared with orbit controls)
+let orbitControls = null;
+let cameraTransition = null;    // Eased camera move in progress (see animateCameraTo)
+let cameraPathPlayback = null;  // Active camera path playback: { time }
+let drawPlane, drawSphere;      // Math shapes for the plane and sphere drawing targets
+let drawSphereGuide = null;     // Wireframe preview of the sphere target
+let drawTargetModel = null;     // Uploaded GLB used as the drawing surface
+let spawnPointer;  // Scratch NDC for spawn points along a stroke
+let particleCollisions = null;  // ParticleCollisions for particle-particle contacts (created on first use)
+let viewFrustum = null;      // Scratch values for getViewBoundsPlanes
+let viewProjection = null;
+let forceFieldGuides = null;     // Group of field markers / radius spheres / arrows
+let forceFieldEditMode = false;  // Pointer places, selects and drags fields instead of drawing
+let selectedForceField = -1;
+let forceFieldDrag = null;       // { pointerId, index } while a field is being dragged
 let clock;
+let simulationTime = 0;  // Seconds of simulated time (advanced by fixed steps during offline render)
+let isOfflineRendering = false;
 let backgroundTexture = null;
 
 // ========== PARTICLE SYSTEM ==========
@@ -129,6 +61,43 @@ let loadedGeometry = null;
 let loadedMaterial = null;
 let isModelLoaded = false;
 
+// ========== MODEL LIBRARY ==========
+// Entry 0 is the primary model (particlePool + gradient pools); every further
+// model gets its own pool in modelPools, so modelPools[i] holds library entry i + 1
+let modelLibrary = [];   // Array of { name, geometry, material, animation }
+let modelPools = [];     // Array of { pool, mesh, modelIndex }
+let modelSequenceIndex = 0;
+
+// ========== VERTEX ANIMATION ==========
+// Animated GLB clips are baked once into a float texture shared by every material,
+// so InstancedMesh pools can play them with a per-instance time offset.
+let animationTime = 0;              // Seconds of clip playback (scaled by modelAnimationSpeed)
+let vertexAnimationTexture = null;  // Atlas of baked frames for every animated library model
+const vertexAnimationUniforms = {
+    vatTexture: { value: null },
+    vatTextureWidth: { value: 1 },
+    vatTime: { value: 0 },
+    vatEnabled: { value: 0 }
+};
+
+// ========== INSTANCE SHADER PATCH ==========
+const instancePatchedMaterials = new WeakSet();  // Materials already carrying the instance patch
+const materialBaseTransparency = new WeakMap();  // material -> transparent flag before exit fading
+
+// ========== GPU SIMULATION STATE ==========
+// Optional particle update on the GPU (js/gpu-simulation.js). One simulation holds
+// every pool; each pool owns a range of slots starting at its gpuSlotBase.
+let gpuSimulation = null;
+let gpuSimulationLayout = [];     // [{ pool, base, capacity }] the simulation was built for
+let gpuSimulationSupport = null;  // { supported, reason } once checked against the renderer
+const gpuParticleUniforms = {
+    gpuParticlesEnabled: { value: 0 },
+    gpuParticlePosition: { value: null },
+    gpuParticleVelocity: { value: null },
+    gpuParticleSpin: { value: null },
+    gpuParticleRotation: { value: null }
+};
+
 // ========== MATCAP MATERIAL SYSTEM ==========
 let matcapGenerator = null;
 let customMaterial = null;
@@ -162,38 +131,134 @@ let useAgeFading = false;
 // No default model - user must upload their own GLB
 
 // ========== MOUSE STATE ==========
-let isMouseDown = false;
-let lastMousePos = { x: 0, y: 0 };
+// Latest input position from any pointer - drives follow / look at / face mouse effects
 let currentMousePos = { x: 0, y: 0 };
 let currentMouseWorldPos = null;  // World position for face mouse mode (initialized in init())
-let mouseSpeed = 0;
-let lastMoveDirection = { x: 0, y: 0 };
-let accumulatedDistance = 0;  // For distance-based spawning
+
+// ========== STROKE STATE ==========
+// One stroke per pointer that is down (mouse, pen or each finger), keyed by pointer id,
+// so several fingers draw independent trails at once. Each stroke:
+// { x, y, speed, accumulatedDistance, pen, brush, path, pathIndex }
+const strokes = new Map();
+
+// ========== DEPTH STATE ==========
+let drawDepth = 0;  // Wheel / key controlled offset along the view ray
+const depthKeys = { push: false, pull: false };
+
+// Continuous emission from the hovering pointer when nothing is held
+const hoverEmitter = { speed: 0, direction: { x: 1, y: 0 }, emitAccumulator: 0 };
+let isPointerOverCanvas = false;
+
+// ========== PEN STATE ==========
+// Latest pointer pressure (0-1), tilt (-90 to 90 degrees per axis) and twist (0-359 degrees).
+// Mouse reports 0.5 pressure while a button is held; devices without tilt or twist report 0.
+let penState = { pressure: 0, tiltX: 0, tiltY: 0, twist: 0 };
+
+// ========== GESTURE RECORDER STATE ==========
+let gestureRecording = null;  // Track being recorded: { startTime, samples }
+let gestureTrack = null;      // Last recorded or loaded track
+let gesturePlayback = null;   // Active playback: { time, sampleIndex }
 
 // ========== CANVAS SIZE TRACKING ==========
 let previousCanvasSize = { width: canvas.width, height: canvas.height };
+let offlineCanvasSize = null;  // Live canvas size, held while a sequence export renders at its own size
+
+// Size of the space strokes are drawn in. Sequence export resizes the renderer,
+// and gesture replay and spacing must keep seeing the live canvas.
+function getCanvasSize() {
+    return offlineCanvasSize || canvas;
+}
 
 // ========== CUSTOM CURSOR ==========
 let cursorElement = null;
 
+// ========== SEEDED RANDOM ==========
+// Mulberry32 PRNG. Every particle random draw goes through random() so that a
+// seed plus a recorded gesture reproduces the same trail.
+let randomState = 0;
+let curlNoise = null;  // SimplexNoise for the curl float style, rebuilt when the seed changes
+
+function seedRandom(seed) {
+    randomState = Math.floor(seed) >>> 0;
+}
+
+// Curl noise follows the particle seed so a seeded export repeats exactly
+function getCurlNoise() {
+    if (!curlNoise || curlNoise.seed !== settings.randomSeed) {
+        curlNoise = new SimplexNoise(settings.randomSeed);
+    }
+    return curlNoise;
+}
+
+function random() {
+    randomState = (randomState + 0x6D2B79F5) | 0;
+    let t = randomState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
 // ========== PARTICLE POOL CLASS ==========
+const PARTICLE_POOL_LIMIT = 65536;  // Auto-grow never goes past this many instances per pool
+
 class ParticlePool {
     constructor(maxCount = 1000) {
-        this.maxCount = maxCount;
+        this.maxCount = maxCount;  // Instance slots
+        this.budget = maxCount;    // Particles allowed at once; early exits may overflow it until they end
         this.instancedMesh = null;
-        this.particles = new Map();
-        this.freeIndices = [];
-        this.dummy = new THREE.Object3D();
-        this.activeCount = 0;
+        this.store = new ParticleStore(maxCount);  // Per-particle state, indexed by instance slot
+        this.droppedCount = 0;   // Spawns refused because the pool was full
+        this.recycledCount = 0;  // Live particles taken over by new spawns
+        this.expiredCount = 0;   // Live particles sent into their exit early by new spawns
+        this.gpuSimulation = null;  // Shared GPUParticleSimulation while the GPU path runs
+        this.gpuSlotBase = 0;       // This pool's first slot in it
+        this.sortOrder = null;      // Scratch for sortBackToFront
+        this.sortDepths = null;
+        this.sortDirection = null;  // Scratch view direction for orthographic sorting
+        this.compareDepths = (a, b) => this.sortDepths[b] - this.sortDepths[a];
+        particleStatsChanged();
+    }
+
+    get activeCount() {
+        return this.store.count;
     }
 
     init(geometry, material) {
-        // Clone material and make it double-sided for better visibility
-        const clonedMaterial = material.clone();
-        clonedMaterial.side = THREE.DoubleSide;
+        // Clone material(s) and make them double-sided for better visibility
+        // (multi-part models carry one material per geometry group)
+        const cloneDoubleSided = (source) => {
+            const cloned = source.clone();
+            cloned.side = THREE.DoubleSide;
+            return cloned;
+        };
+        const clonedMaterial = Array.isArray(material)
+            ? material.map(cloneDoubleSided)
+            : cloneDoubleSided(material);
+
+        // Each pool gets its own geometry view over the model's vertex data, so
+        // per-instance attributes don't collide between pools sharing a model
+        const poolGeometry = new THREE.BufferGeometry();
+        poolGeometry.setIndex(geometry.index);
+        Object.keys(geometry.attributes).forEach((name) => {
+            poolGeometry.setAttribute(name, geometry.attributes[name]);
+        });
+        geometry.groups.forEach((group) => {
+            poolGeometry.addGroup(group.start, group.count, group.materialIndex);
+        });
+        poolGeometry.boundingBox = geometry.boundingBox;
+        poolGeometry.boundingSphere = geometry.boundingSphere;
+
+        // Per-instance clip playback offset: (animationTime at spawn, phase 0-1)
+        this.animationOffsets = new THREE.InstancedBufferAttribute(new Float32Array(this.maxCount * 2), 2);
+        poolGeometry.setAttribute('instanceAnimation', this.animationOffsets);
+
+        // Per-instance exit fade: (opacity, dissolve amount)
+        this.fades = new THREE.InstancedBufferAttribute(new Float32Array(this.maxCount * 2), 2);
+        this.fades.setUsage(THREE.DynamicDrawUsage);
+        poolGeometry.setAttribute('instanceFade', this.fades);
 
         this.instancedMesh = new THREE.InstancedMesh(
-            geometry,
+            poolGeometry,
             clonedMaterial,
             this.maxCount
         );
@@ -201,10 +266,8 @@ class ParticlePool {
         this.instancedMesh.frustumCulled = false;
 
         // Initialize all instances as hidden (scale 0)
-        const zeroMatrix = new THREE.Matrix4().makeScale(0, 0, 0);
         for (let i = 0; i < this.maxCount; i++) {
-            this.instancedMesh.setMatrixAt(i, zeroMatrix);
-            this.freeIndices.push(i);
+            this.hideInstance(i);
         }
         this.instancedMesh.instanceMatrix.needsUpdate = true;
 
@@ -212,107 +275,339 @@ class ParticlePool {
     }
 
     acquire() {
-        if (this.freeIndices.length === 0) return null;
-        const index = this.freeIndices.pop();
-        this.activeCount++;
+        const full = this.store.count >= this.budget || this.store.freeCount === 0;
+        if (full && !this.handleOverflow()) return null;
+        return this.store.acquire();
+    }
+
+    /**
+     * Start a particle in a free slot
+     * @param {THREE.Vector3} position - World spawn point
+     * @param {THREE.Vector2} moveDirection - Screen-space stroke direction, or null
+     * @param {Object} pen - Pen state the drivers sample
+     * @param {THREE.Vector3} surfaceNormal - Drawing target normal to align to, or null
+     * @param {number} scale - Spawn size
+     * @returns {number|null} Slot, or null when the pool is full
+     */
+    spawn(position, moveDirection, pen, surfaceNormal, scale) {
+        const index = this.acquire();
+        particleStatsChanged();
+        if (index === null) return null;
+
+        const store = this.store;
+        store.spawn(index, scale, settings.lifespan, simulationTime, random);
+        position.toArray(store.positions, index * 3);
+        store.moveDirections[index * 2] = moveDirection ? moveDirection.x : 1;
+        store.moveDirections[index * 2 + 1] = moveDirection ? moveDirection.y : 0;
+        const animationPhase = settings.modelAnimationPhase === 'random' ? random() : 0;
+
+        // Pen drivers are sampled once at spawn, like a brush dab
+        store.penRolls[index] = getPenRotation(settings.rotationDriver, pen);
+        const tint = settings.colorDriver !== 'none'
+            ? new THREE.Color(0xffffff).lerp(new THREE.Color(settings.driverTintColor), getPenDriverValue(settings.colorDriver, pen))
+            : null;
+
+        // Surface alignment: model +Z along the drawing target normal at the hit
+        if (surfaceNormal) {
+            store.surfaceAligned[index] = 1;
+            new THREE.Quaternion()
+                .setFromUnitVectors(new THREE.Vector3(0, 0, 1), surfaceNormal)
+                .toArray(store.surfaceRotations, index * 4);
+        }
+        this.setBaseRotation(index);
+
+        if (this.gpuSimulation) this.gpuSimulation.upload(this.gpuSlotBase + index, store, index);
+        // Baked GLB clip plays from the current animation time
+        this.animationOffsets.setXY(index, animationTime, animationPhase);
+        this.animationOffsets.needsUpdate = true;
+        this.setFade(index, 1, 0);
+
+        // Untinted particles still reset the slot once a tint buffer exists
+        if (tint || this.instancedMesh.instanceColor) {
+            this.setTint(index, tint);
+        }
         return index;
     }
 
+    // Base rotation at spawn time for the random / mouse facing modes.
+    // Fixed reads the current settings in the update loop, billboard is calculated each frame
+    setBaseRotation(index) {
+        const base = this.store.baseRotations;
+        const i3 = index * 3;
+        base.fill(0, i3, i3 + 3);
+
+        switch (settings.facingMode) {
+            case 'random':
+                base[i3] = random() * Math.PI * 2;
+                base[i3 + 1] = random() * Math.PI * 2;
+                base[i3 + 2] = random() * Math.PI * 2;
+                break;
+            case 'mouse': {
+                // Rotation toward the mouse at spawn time (frozen orientation)
+                if (!currentMouseWorldPos) break;
+                const positions = this.store.positions;
+                const dx = currentMouseWorldPos.x - positions[i3];
+                const dy = currentMouseWorldPos.y - positions[i3 + 1];
+                const dz = currentMouseWorldPos.z - positions[i3 + 2];
+                const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+                if (distance > 0.01) {
+                    base[i3] = Math.atan2(dy / distance, 1) * 0.8;
+                    base[i3 + 1] = Math.atan2(-dx / distance, 0.5) * 1.2;
+                    base[i3 + 2] = -dx / distance * 0.2;
+                }
+                break;
+            }
+        }
+    }
+
+    // Make room in a full pool: grow when allowed, otherwise apply settings.overflowPolicy.
+    // Returns true if a free index is available afterwards.
+    handleOverflow() {
+        particleStatsChanged();
+        const grownCount = Math.min(this.budget * 2, PARTICLE_POOL_LIMIT);
+        if (settings.autoGrowPool && grownCount > this.budget) {
+            this.resize(Math.max(grownCount, this.maxCount), grownCount);
+            console.log('3D Trail: Particle pool grown to', grownCount, 'instances');
+            return true;
+        }
+
+        switch (settings.overflowPolicy) {
+            case 'recycle': {
+                // The store keeps live slots in spawn order, so the head is the oldest
+                const oldest = this.store.head;
+                if (oldest === -1) break;
+                this.release(oldest);
+                this.recycledCount++;
+                return true;
+            }
+            case 'expire': {
+                // The oldest particle exits early and the new one is placed straight away,
+                // past the budget until that exit ends: the trail eats its tail and the
+                // brush keeps drawing. One particle expires per particle placed.
+                const roomLeft = this.store.freeCount > 0 || this.maxCount < PARTICLE_POOL_LIMIT;
+                if (!roomLeft || !this.expireOldest()) break;
+                if (this.store.freeCount === 0) {
+                    this.resize(Math.min(this.maxCount * 2, PARTICLE_POOL_LIMIT), this.budget);
+                }
+                this.expiredCount++;
+                return true;
+            }
+            case 'drop':
+            default:
+                break;
+        }
+
+        this.droppedCount++;
+        return false;
+    }
+
+    // Start the exit animation of the oldest particle that isn't already leaving.
+    // Returns false if every particle is leaving already.
+    expireOldest() {
+        const exitDuration = settings.disappearMode === 'snap' ? 0 : settings.exitDuration;
+        const { ages, lifespans } = this.store;
+
+        for (let index = this.store.head; index !== -1; index = this.store.next[index]) {
+            if (lifespans[index] - ages[index] > exitDuration) {
+                lifespans[index] = ages[index] + exitDuration;
+                if (this.gpuSimulation) this.gpuSimulation.updateConstants(this.gpuSlotBase + index, this.store, index);
+                return true;
+            }
+        }
+        return false;
+    }
+
     release(index) {
-        const zeroMatrix = new THREE.Matrix4().makeScale(0, 0, 0);
-        this.instancedMesh.setMatrixAt(index, zeroMatrix);
-        this.particles.delete(index);
-        this.freeIndices.push(index);
-        this.activeCount--;
+        this.hideInstance(index);
+        this.store.release(index);
+        if (this.gpuSimulation) this.gpuSimulation.clearSlot(this.gpuSlotBase + index);
+        particleStatsChanged();
+    }
+
+    // Advance every live particle on the CPU and free the ones that expired
+    update(delta, frame) {
+        if (this.activeCount === 0) return;
+
+        const store = this.store;
+        const expiredCount = store.update(delta, settings, frame, this.instancedMesh.instanceMatrix.array, this.fades.array);
+        for (let i = 0; i < expiredCount; i++) {
+            this.release(store.expired[i]);
+        }
+        this.finishUpdate();
+    }
+
+    // Scale-0 matrix: the instance draws nothing
+    hideInstance(index) {
+        const matrices = this.instancedMesh.instanceMatrix.array;
+        matrices.fill(0, index * 16, index * 16 + 16);
+        matrices[index * 16 + 15] = 1;
+    }
+
+    setFade(index, opacity, dissolve) {
+        this.fades.setXY(index, opacity, dissolve);
     }
 
-    updateInstance(index, position, rotation, scale) {
-        this.dummy.position.copy(position);
-        this.dummy.rotation.copy(rotation);
-        this.dummy.scale.copy(scale);
-        this.dummy.updateMatrix();
-        this.instancedMesh.setMatrixAt(index, this.dummy.matrix);
+    // Per-instance color multiplier (null = white), allocated on first use and filled with white
+    setTint(index, color) {
+        const mesh = this.instancedMesh;
+        if (!mesh.instanceColor) {
+            const colors = new Float32Array(this.maxCount * 3).fill(1);
+            mesh.instanceColor = new THREE.InstancedBufferAttribute(colors, 3);
+        }
+        if (color) {
+            mesh.setColorAt(index, color);
+        } else {
+            mesh.instanceColor.setXYZ(index, 1, 1, 1);
+        }
+        mesh.instanceColor.needsUpdate = true;
     }
 
     finishUpdate() {
         if (this.instancedMesh) {
+            // Blended entrance/exit styles need instances drawn far-to-near
+            if (needsInstanceBlending() && camera) {
+                this.sortBackToFront(camera);
+            } else {
+                this.instancedMesh.count = this.maxCount;
+            }
             this.instancedMesh.instanceMatrix.needsUpdate = true;
+            this.fades.needsUpdate = true;
         }
     }
 
-    clear() {
-        this.particles.forEach((particle, index) => {
-            this.release(index);
+    // Move live particles into slots 0..n-1 ordered far-to-near and draw only those.
+    // The store keeps its spawn order across the move.
+    sortBackToFront(viewCamera) {
+        const store = this.store;
+        const count = store.count;
+        if (!this.sortOrder || this.sortOrder.length < this.maxCount) {
+            this.sortOrder = new Int32Array(this.maxCount);
+            this.sortDepths = new Float32Array(this.maxCount);
+        }
+
+        // Perspective depth is distance from the eye; orthographic depth is
+        // distance along the view direction, which is the same for a whole plane
+        const cameraPosition = viewCamera.position;
+        const orthographic = viewCamera.isOrthographicCamera;
+        if (orthographic) {
+            if (!this.sortDirection) this.sortDirection = new THREE.Vector3();
+            viewCamera.getWorldDirection(this.sortDirection);
+        }
+        const direction = this.sortDirection;
+
+        let highestIndex = -1;
+        let length = 0;
+        for (let index = store.head; index !== -1; index = store.next[index]) {
+            const dx = store.positions[index * 3] - cameraPosition.x;
+            const dy = store.positions[index * 3 + 1] - cameraPosition.y;
+            const dz = store.positions[index * 3 + 2] - cameraPosition.z;
+            this.sortDepths[index] = orthographic
+                ? dx * direction.x + dy * direction.y + dz * direction.z
+                : dx * dx + dy * dy + dz * dz;
+            this.sortOrder[length++] = index;
+            highestIndex = Math.max(highestIndex, index);
+        }
+        const order = this.sortOrder.subarray(0, count);
+        order.sort(this.compareDepths);
+
+        // Permute every per-instance buffer into draw order
+        this.getInstanceAttributes().forEach((attribute) => {
+            store.permuteArray(attribute.array, attribute.itemSize, order, count);
+            attribute.needsUpdate = true;
         });
+        store.permute(order, count);
+
+        // Slots past the live range may still hold moved instances
+        for (let i = count; i <= highestIndex; i++) {
+            this.hideInstance(i);
+        }
+        this.instancedMesh.count = count;
     }
-}
 
-// ========== PARTICLE CLASS ==========
-class Particle {
-    constructor(index, position, moveDirection) {
-        this.index = index;
-        this.position = position.clone();
-        this.velocity = new THREE.Vector3(0, 0, 0);
-        this.rotation = new THREE.Euler(0, 0, 0);
-        this.angularVelocity = new THREE.Vector3(0, 0, 0);
-        this.spinOffset = new THREE.Vector3(0, 0, 0);  // Accumulated spin/tumble offset
-        this.scale = new THREE.Vector3(1, 1, 1);
-        this.initialScale = 1;
-        this.age = 0;
-        this.lifespan = settings.lifespan;
-        this.moveDirection = moveDirection ? moveDirection.clone() : new THREE.Vector2(1, 0);
-        this.spawnTime = clock ? clock.getElapsedTime() : 0;  // For float phase offset
-        this.phaseOffset = Math.random() * Math.PI * 2;  // Random phase for organic feel
-
-        // Store random factors for tumble variation (unique per particle, used dynamically)
-        this.randomTumbleFactor = new THREE.Vector3(
-            (Math.random() - 0.5) * 4,
-            (Math.random() - 0.5) * 4,
-            (Math.random() - 0.5) * 4
-        );
+    // instanceMatrix, instanceColor and the instanced attributes on the geometry view
+    getInstanceAttributes() {
+        const mesh = this.instancedMesh;
+        const attributes = [mesh.instanceMatrix];
+        if (mesh.instanceColor) attributes.push(mesh.instanceColor);
+        Object.values(mesh.geometry.attributes).forEach((attribute) => {
+            if (attribute.isInstancedBufferAttribute) attributes.push(attribute);
+        });
+        return attributes;
+    }
+
+    // Reallocate every per-instance buffer for a new capacity, keeping live instances.
+    // Shrinking drops the particles stored past the new end. budget is the new
+    // particle budget; only expire-oldest overflow keeps it below the capacity.
+    resize(newCount, budget = newCount) {
+        this.budget = budget;
+        particleStatsChanged();
+        const oldCount = this.maxCount;
+        if (newCount === oldCount || !this.instancedMesh) return;
+
+        // GPU slot ranges follow pool capacities - hand the particles back first
+        if (this.gpuSimulation) stopGPUSimulation();
+
+        for (let index = this.store.head; index !== -1;) {
+            const next = this.store.next[index];
+            if (index >= newCount) this.release(index);
+            index = next;
+        }
+        this.store.resize(newCount);
+
+        const mesh = this.instancedMesh;
+        mesh.instanceMatrix = resizeInstancedAttribute(mesh.instanceMatrix, newCount);
+        if (mesh.instanceColor) {
+            mesh.instanceColor = resizeInstancedAttribute(mesh.instanceColor, newCount);
+        }
+
+        // Pool-owned attributes on the geometry view (animation offsets, age, ...)
+        const geometry = mesh.geometry;
+        Object.keys(geometry.attributes).forEach((name) => {
+            const attribute = geometry.attributes[name];
+            if (attribute.isInstancedBufferAttribute) {
+                geometry.setAttribute(name, resizeInstancedAttribute(attribute, newCount));
+            }
+        });
+        this.animationOffsets = geometry.getAttribute('instanceAnimation');
+        this.fades = geometry.getAttribute('instanceFade');
+
+        // Hide the new slots (the store hands out the lowest new index first)
+        for (let i = oldCount; i < newCount; i++) {
+            this.hideInstance(i);
+        }
 
-        // Store base rotation for this particle (for random/mouse facing modes)
-        this.baseRotation = new THREE.Euler(0, 0, 0);
-        this.setBaseRotation();
+        this.maxCount = newCount;
+        mesh.count = newCount;
+        mesh.instanceMatrix.needsUpdate = true;
     }
 
-    setBaseRotation() {
-        // Store base rotation at spawn time - used for random/mouse modes
-        // Fixed mode reads current settings dynamically in update loop
-        switch (settings.facingMode) {
-            case 'random':
-                this.baseRotation.set(
-                    Math.random() * Math.PI * 2,
-                    Math.random() * Math.PI * 2,
-                    Math.random() * Math.PI * 2
-                );
-                break;
-            case 'mouse':
-                // Calculate rotation toward mouse at spawn time (frozen orientation)
-                if (currentMouseWorldPos) {
-                    const toMouse = currentMouseWorldPos.clone().sub(this.position);
-                    const distance = toMouse.length();
-
-                    if (distance > 0.01) {
-                        toMouse.normalize();
-                        const rotY = Math.atan2(-toMouse.x, 0.5) * 1.2;
-                        const rotX = Math.atan2(toMouse.y, 1) * 0.8;
-                        const rotZ = -toMouse.x * 0.2;
-
-                        this.baseRotation.set(rotX, rotY, rotZ);
-                    }
-                }
-                break;
-            case 'fixed':
-            case 'billboard':
-            default:
-                // Fixed uses current settings dynamically, billboard is calculated each frame
-                this.baseRotation.set(0, 0, 0);
-                break;
+    clear() {
+        while (this.store.head !== -1) {
+            this.release(this.store.head);
         }
+        this.droppedCount = 0;
+        this.recycledCount = 0;
+        this.expiredCount = 0;
+        particleStatsChanged();
     }
 }
 
+// Copy an instanced attribute into a buffer sized for count instances
+function resizeInstancedAttribute(attribute, count) {
+    const array = new attribute.array.constructor(count * attribute.itemSize);
+    array.set(attribute.array.subarray(0, Math.min(attribute.array.length, array.length)));
+
+    const resized = new THREE.InstancedBufferAttribute(array, attribute.itemSize, attribute.normalized, attribute.meshPerAttribute);
+    resized.setUsage(attribute.usage);
+    return resized;
+}
+
+// Starting capacity for one of poolCount pools that share the particle budget
+function getPoolCapacity(poolCount = 1) {
+    return Math.max(1, Math.ceil(settings.maxParticles / poolCount));
+}
+
 // ========== INITIALIZATION ==========
 function init() {
     console.log('3D Trail: Initializing...');
@@ -346,15 +641,20 @@ function init() {
     // Create scene
     scene = new THREE.Scene();
 
-    // Create camera - perspective for depth effect
-    camera = new THREE.PerspectiveCamera(
+    // Create cameras - perspective for depth effect, orthographic for flat / isometric looks
+    perspectiveCamera = new THREE.PerspectiveCamera(
         65,
         canvas.width / canvas.height,
         0.1,
         1000
     );
+    orthographicCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1000);
+    setCameraAspect(canvas.width, canvas.height);
+    camera = perspectiveCamera;
     camera.position.set(0, 0, 10);
-    camera.lookAt(0, 0, 0);
+    cameraTarget = new THREE.Vector3(0, 0, 0);
+    camera.lookAt(cameraTarget);
+    initOrbitControls();
 
     // Add lighting
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.7);
@@ -368,25 +668,32 @@ function init() {
     directionalLight2.position.set(-5, -5, 5);
     scene.add(directionalLight2);
 
-    // Create invisible plane for raycasting (very large to cover all canvas sizes)
-    const planeGeometry = new THREE.PlaneGeometry(10000, 10000);
-    const planeMaterial = new THREE.MeshBasicMaterial({
-        visible: false,
-        side: THREE.DoubleSide
-    });
-    pointerPlane = new THREE.Mesh(planeGeometry, planeMaterial);
-    pointerPlane.position.z = 0;
-    scene.add(pointerPlane);
+    // Drawing targets for pointer raycasts (see DRAWING TARGET)
+    drawPlane = new THREE.Plane();
+    drawSphere = new THREE.Sphere(new THREE.Vector3(), settings.drawSphereRadius);
+    drawSphereGuide = new THREE.Mesh(
+        new THREE.SphereGeometry(1, 32, 16),
+        new THREE.MeshBasicMaterial({ color: 0x888888, wireframe: true, transparent: true, opacity: 0.2 })
+    );
+    scene.add(drawSphereGuide);
+    updateDrawTarget();
+
+    forceFieldGuides = new THREE.Group();
+    scene.add(forceFieldGuides);
 
     // Setup raycaster
     raycaster = new THREE.Raycaster();
     pointer = new THREE.Vector2();
+    spawnPointer = new THREE.Vector2();
 
     // Setup clock for delta time
     clock = new THREE.Clock();
 
+    // Seed particle randomness
+    seedRandom(settings.randomSeed);
+
     // Initialize particle pool
-    particlePool = new ParticlePool(1000);
+    particlePool = new ParticlePool(getPoolCapacity());
 
     // Setup event listeners
     setupEventListeners();
@@ -408,66 +715,76 @@ function init() {
 
 // ========== EVENT LISTENERS ==========
 function setupEventListeners() {
-    // Mouse events
-    canvas.addEventListener('mousedown', onMouseDown);
-    canvas.addEventListener('mousemove', onMouseMove);
-    canvas.addEventListener('mouseup', onMouseUp);
-    canvas.addEventListener('mouseleave', onMouseLeave);
+    // Pointer events cover mouse, touch and pen (pressure, tilt and twist)
+    canvas.style.touchAction = 'none';  // Stop touch drags from scrolling the page
+    canvas.addEventListener('pointerdown', onPointerDown);
+    canvas.addEventListener('pointermove', onPointerMove);
+    canvas.addEventListener('pointerup', onPointerUp);
+    canvas.addEventListener('pointercancel', onPointerUp);
+    canvas.addEventListener('pointerleave', onPointerLeave);
 
     // Cursor visibility events
-    canvas.addEventListener('mouseenter', onCanvasEnter);
-
-    // Touch events for mobile
-    canvas.addEventListener('touchstart', onTouchStart, { passive: false });
-    canvas.addEventListener('touchmove', onTouchMove, { passive: false });
-    canvas.addEventListener('touchend', onTouchEnd);
-    canvas.addEventListener('touchcancel', onTouchEnd);
+    canvas.addEventListener('pointerenter', onCanvasEnter);
+
+    // Depth control
+    canvas.addEventListener('wheel', onCanvasWheel, { passive: false });
+    document.addEventListener('keydown', (e) => setDepthKey(e, true));
+    document.addEventListener('keyup', (e) => setDepthKey(e, false));
+    window.addEventListener('blur', () => {
+        depthKeys.push = false;
+        depthKeys.pull = false;
+    });
 
     // Canvas resize
     document.addEventListener('chatooly:canvas-resized', onCanvasResized);
 }
 
-function onMouseDown(e) {
-    isMouseDown = true;
-    updateMousePosition(e);
-    lastMousePos.x = currentMousePos.x;
-    lastMousePos.y = currentMousePos.y;
-    accumulatedDistance = 0;  // Reset distance accumulator on mouse down
+// Every pointer draws its own stroke; only the primary one moves the custom cursor
+function onPointerDown(e) {
+    if (isLiveInputBlocked()) return;
+    const coords = getPointerCanvasCoords(e);
+    if (forceFieldEditMode) {
+        onForceFieldPointerDown(e.pointerId, coords.x, coords.y);
+        return;
+    }
+    beginStroke(e.pointerId, coords.x, coords.y, getEventPen(e));
+    recordGestureSample('down', e.pointerId, e.buttons);
 }
 
-function onMouseMove(e) {
-    const prevX = currentMousePos.x;
-    const prevY = currentMousePos.y;
-    updateMousePosition(e);
-
-    // Calculate mouse speed and direction
-    const dx = currentMousePos.x - prevX;
-    const dy = currentMousePos.y - prevY;
-    const distance = Math.sqrt(dx * dx + dy * dy);
-    mouseSpeed = distance;
+function onPointerMove(e) {
+    // Update custom cursor position
+    if (e.isPrimary) updateCursorPosition(e);
 
-    if (distance > 0.1) {
-        lastMoveDirection.x = dx / distance;
-        lastMoveDirection.y = dy / distance;
+    if (isLiveInputBlocked()) return;
+    const coords = getPointerCanvasCoords(e);
+    if (forceFieldDrag && forceFieldDrag.pointerId === e.pointerId) {
+        dragForceField(coords.x, coords.y);
+        return;
     }
+    moveStroke(e.pointerId, coords.x, coords.y, getEventPen(e));
+    recordGestureSample('move', e.pointerId, e.buttons);
+}
 
-    // Accumulate distance for distance-based spawning
-    if (isMouseDown) {
-        accumulatedDistance += distance;
+function onPointerUp(e) {
+    if (forceFieldDrag && forceFieldDrag.pointerId === e.pointerId) {
+        endForceFieldDrag();
+        return;
     }
-
-    // Update custom cursor position
-    updateCursorPosition(e);
+    if (isLiveInputBlocked() || !strokes.has(e.pointerId)) return;
+    recordGestureSample('up', e.pointerId, e.buttons);
+    endStroke(e.pointerId);
 }
 
-function onMouseUp() {
-    isMouseDown = false;
-}
+function onPointerLeave(e) {
+    if (forceFieldDrag && forceFieldDrag.pointerId === e.pointerId) endForceFieldDrag();
+    if (!isLiveInputBlocked() && strokes.has(e.pointerId)) {
+        recordGestureSample('up', e.pointerId, 0);
+        endStroke(e.pointerId);
+    }
+    if (e.isPrimary) isPointerOverCanvas = false;
 
-function onMouseLeave() {
-    isMouseDown = false;
     // Hide custom cursor when leaving canvas
-    if (cursorElement) {
+    if (e.isPrimary && cursorElement) {
         canvas.style.cursor = 'default';
         cursorElement.style.display = 'none';
     }
@@ -481,73 +798,165 @@ function onCanvasEnter() {
     }
 }
 
-function onTouchStart(e) {
+function onCanvasWheel(e) {
+    if (!settings.depthWheelEnabled || isLiveInputBlocked()) return;
     e.preventDefault();
-    if (e.touches.length > 0) {
-        isMouseDown = true;
-        updateMousePositionFromTouch(e.touches[0]);
-        lastMousePos.x = currentMousePos.x;
-        lastMousePos.y = currentMousePos.y;
-        accumulatedDistance = 0;  // Reset distance accumulator on touch start
-    }
+
+    // Normalize to wheel notches (pixel deltas are ~100 per notch, line deltas ~3)
+    const notches = e.deltaMode === 1 ? e.deltaY / 3 : e.deltaY / 100;
+    setDrawDepth(drawDepth + notches * settings.depthStep);
 }
 
-function onTouchMove(e) {
-    e.preventDefault();
-    if (e.touches.length > 0) {
-        const prevX = currentMousePos.x;
-        const prevY = currentMousePos.y;
-        updateMousePositionFromTouch(e.touches[0]);
+function setDepthKey(e, pressed) {
+    // Typing in a text field should not move the brush
+    if (pressed && e.target.closest && e.target.closest('input, textarea, select')) return;
+    if (e.key === 'Shift') depthKeys.push = pressed;
+    if (e.key === 'Alt') depthKeys.pull = pressed;
+}
 
-        const dx = currentMousePos.x - prevX;
-        const dy = currentMousePos.y - prevY;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        mouseSpeed = distance;
+// Live input is ignored while a gesture replays or an offline render drives the simulation
+// (and while orbit mode has the pointer)
+function isLiveInputBlocked() {
+    return gesturePlayback !== null || isOfflineRendering || settings.orbitEnabled;
+}
 
-        if (distance > 0.1) {
-            lastMoveDirection.x = dx / distance;
-            lastMoveDirection.y = dy / distance;
-        }
+// ========== STROKES ==========
+// Shared by live input and gesture playback so both go through the same spawning path
+function beginStroke(id, x, y, pen) {
+    const stroke = {
+        x: x,
+        y: y,
+        speed: 0,
+        accumulatedDistance: 0,  // Path length since the last spawn, for distance-based spawning
+        pen: pen,
+        brush: { x: x, y: y },   // Stabilized position that trails the pointer
+        direction: { x: 1, y: 0 },  // Last brush direction, for timed emission
+        path: [{ x: x, y: y, pen: pen }],  // Brush samples not yet walked by the spawner
+        pathIndex: 0,            // First path segment still to walk
+        emitAccumulator: 1       // Timed emission owes one particle on press
+    };
+    strokes.set(id, stroke);
+    setPointerPosition(x, y);
+    setPenState(pen);
+}
 
-        // Accumulate distance for distance-based spawning
-        if (isMouseDown) {
-            accumulatedDistance += distance;
-        }
+// Moves without a stroke (mouse hover) still update the shared pointer position
+function moveStroke(id, x, y, pen) {
+    const stroke = strokes.get(id);
+    if (!stroke) updateEmitterMotion(hoverEmitter, x - currentMousePos.x, y - currentMousePos.y);
+
+    setPointerPosition(x, y);
+    setPenState(pen);
+    if (!stroke) return;
+
+    // Stroke speed (pixels per move); spawn direction comes from the path itself
+    stroke.speed = Math.hypot(x - stroke.x, y - stroke.y);
+    stroke.x = x;
+    stroke.y = y;
+    stroke.pen = pen;
+
+    // Lazy brush: the brush only moves once the pointer pulls it past the radius
+    let bx = x - stroke.brush.x;
+    let by = y - stroke.brush.y;
+    if (settings.strokeSmoothing === 'stabilizer') {
+        const pull = Math.sqrt(bx * bx + by * by) - settings.stabilizerRadius;
+        if (pull <= 0) return;
+        const ratio = pull / (pull + settings.stabilizerRadius);
+        bx *= ratio;
+        by *= ratio;
     }
+    stroke.brush.x += bx;
+    stroke.brush.y += by;
+    updateEmitterMotion(stroke, bx, by, false);
+    stroke.path.push({ x: stroke.brush.x, y: stroke.brush.y, pen: pen });
 }
 
-function onTouchEnd() {
-    isMouseDown = false;
+// Track direction (and optionally speed) from a movement delta in pixels
+function updateEmitterMotion(emitter, dx, dy, updateSpeed = true) {
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    if (updateSpeed) emitter.speed = distance;
+    if (distance > 0.1) {
+        emitter.direction.x = dx / distance;
+        emitter.direction.y = dy / distance;
+    }
 }
 
-function updateMousePosition(e) {
-    let coords;
-    if (window.Chatooly && window.Chatooly.utils && window.Chatooly.utils.mapMouseToCanvas) {
-        coords = window.Chatooly.utils.mapMouseToCanvas(e, canvas);
-    } else {
-        coords = fallbackMouseMapping(e);
+// Spawn along the rest of the path first so a Catmull-Rom tail is not lost
+function endStroke(id) {
+    const stroke = strokes.get(id);
+    if (stroke && isModelLoaded && settings.emissionMode === 'distance') {
+        spawnAlongStroke(stroke, true);
     }
+    strokes.delete(id);
+}
+
+function endAllStrokes() {
+    strokes.clear();
+}
 
-    currentMousePos.x = coords.x;
-    currentMousePos.y = coords.y;
+function setPointerPosition(x, y) {
+    currentMousePos.x = x;
+    currentMousePos.y = y;
+    isPointerOverCanvas = true;
 
     // Convert to normalized device coordinates
-    pointer.x = (coords.x / canvas.width) * 2 - 1;
-    pointer.y = -(coords.y / canvas.height) * 2 + 1;
+    const size = getCanvasSize();
+    pointer.x = (x / size.width) * 2 - 1;
+    pointer.y = -(y / size.height) * 2 + 1;
 }
 
-function updateMousePositionFromTouch(touch) {
-    const rect = canvas.getBoundingClientRect();
-    const displayX = touch.clientX - rect.left;
-    const displayY = touch.clientY - rect.top;
-    const scaleX = canvas.width / rect.width;
-    const scaleY = canvas.height / rect.height;
+function getEventPen(e) {
+    return {
+        pressure: e.pressure,
+        tiltX: e.tiltX || 0,
+        tiltY: e.tiltY || 0,
+        twist: e.twist || 0
+    };
+}
+
+// Latest pen reading; the UI readout listens for pen-state-changed
+function setPenState(pen) {
+    const changed = pen.pressure !== penState.pressure || pen.tiltX !== penState.tiltX ||
+        pen.tiltY !== penState.tiltY || pen.twist !== penState.twist;
+    penState = { ...pen };
+    if (changed) document.dispatchEvent(new CustomEvent('pen-state-changed'));
+}
 
-    currentMousePos.x = displayX * scaleX;
-    currentMousePos.y = displayY * scaleY;
+// Pen input mapped to 0-1 for the size, spacing and color drivers
+function getPenDriverValue(source, pen = penState) {
+    switch (source) {
+        case 'pressure':
+            return pen.pressure;
+        case 'tilt':
+            return Math.min(1, Math.hypot(pen.tiltX, pen.tiltY) / 90);
+        case 'twist':
+            return pen.twist / 360;
+        default:
+            return 0;
+    }
+}
+
+// Extra roll (radians) around the facing axis from the rotation driver
+function getPenRotation(source, pen = penState) {
+    switch (source) {
+        case 'pressure':
+            return pen.pressure * Math.PI;
+        case 'tilt':
+            // Lean direction; an upright pen has no direction
+            if (pen.tiltX === 0 && pen.tiltY === 0) return 0;
+            return Math.atan2(pen.tiltY, pen.tiltX);
+        case 'twist':
+            return THREE.MathUtils.degToRad(pen.twist);
+        default:
+            return 0;
+    }
+}
 
-    pointer.x = (currentMousePos.x / canvas.width) * 2 - 1;
-    pointer.y = -(currentMousePos.y / canvas.height) * 2 + 1;
+function getPointerCanvasCoords(e) {
+    if (window.Chatooly && window.Chatooly.utils && window.Chatooly.utils.mapMouseToCanvas) {
+        return window.Chatooly.utils.mapMouseToCanvas(e, canvas);
+    }
+    return fallbackMouseMapping(e);
 }
 
 function fallbackMouseMapping(e) {
@@ -566,8 +975,7 @@ function onCanvasResized(e) {
     const newHeight = e.detail.canvas.height;
 
     renderer.setSize(newWidth, newHeight);
-    camera.aspect = newWidth / newHeight;
-    camera.updateProjectionMatrix();
+    setCameraAspect(newWidth, newHeight);
 
     // Scale mouse position to new canvas dimensions to prevent offset
     if (oldWidth > 0 && oldHeight > 0) {
@@ -579,6 +987,13 @@ function onCanvasResized(e) {
         // Recalculate normalized device coordinates
         pointer.x = (currentMousePos.x / newWidth) * 2 - 1;
         pointer.y = -(currentMousePos.y / newHeight) * 2 + 1;
+
+        strokes.forEach((stroke) => {
+            [stroke, stroke.brush, ...stroke.path].forEach((point) => {
+                point.x *= scaleX;
+                point.y *= scaleY;
+            });
+        });
     }
 
     // Update tracked canvas size
@@ -589,107 +1004,151 @@ function onCanvasResized(e) {
 }
 
 // ========== WORLD POSITION FROM MOUSE ==========
-function getWorldPosition() {
-    raycaster.setFromCamera(pointer, camera);
-    
-    // Use mathematical ray-plane intersection for unbounded world position
-    // This ensures particles can spawn anywhere the mouse points, with no limits
-    const ray = raycaster.ray;
-    
-    // Calculate intersection with z=0 plane (infinite plane, no bounds)
-    if (Math.abs(ray.direction.z) > 0.0001) {
-        const t = -ray.origin.z / ray.direction.z;
-        if (t > 0) {
-            const worldPos = new THREE.Vector3();
-            worldPos.copy(ray.origin).addScaledVector(ray.direction, t);
-            return worldPos;
-        }
-    }
-    
-    // Edge case: ray is nearly parallel to z=0 plane
-    // Fall back to raycast against the large plane (kept for edge cases)
-    const intersects = raycaster.intersectObject(pointerPlane);
-    if (intersects.length > 0) {
-        return intersects[0].point.clone();
-    }
-    
-    return null;
+// Works for both projections: the orthographic camera casts parallel rays
+// from its near plane, so spacing on the drawing plane ignores distance
+function getWorldPosition(ndc = pointer) {
+    const hit = getDrawTargetHit(ndc);
+    return hit ? hit.point : null;
 }
 
-// ========== GLB LOADING ==========
-async function loadGLBFromURL(url, modelName = 'model') {
-    return new Promise((resolve, reject) => {
-        const LoaderClass = window.GLTFLoader;
-        if (!LoaderClass) {
-            reject(new Error('GLTFLoader not available. Make sure Three.js is loaded.'));
-            return;
-        }
-
-        const loader = new LoaderClass();
-        console.log('3D Trail: Loading GLB from URL:', url);
+// ========== DEPTH CONTROL ==========
+function setDrawDepth(depth) {
+    applyDrawDepth(THREE.MathUtils.clamp(depth, -settings.depthLimit, settings.depthLimit));
+}
 
-        loader.load(
-            url,
-            (gltf) => {
-                console.log('3D Trail: GLB loaded successfully!', gltf);
+function applyDrawDepth(depth) {
+    if (depth === drawDepth) return;
+    drawDepth = depth;
+    document.dispatchEvent(new CustomEvent('draw-depth-changed'));
+}
 
-                let mesh = null;
-                gltf.scene.traverse((child) => {
-                    if (child.isMesh && !mesh) {
-                        mesh = child;
-                    }
-                });
+// Held depth keys move the brush at a steady speed
+function updateDepthControl(delta) {
+    if (!settings.depthKeysEnabled || isLiveInputBlocked()) return;
+    const direction = (depthKeys.push ? 1 : 0) - (depthKeys.pull ? 1 : 0);
+    if (direction !== 0) {
+        setDrawDepth(drawDepth + direction * settings.depthKeySpeed * delta);
+    }
+}
 
-                if (!mesh) {
-                    reject(new Error('No mesh found in GLB file'));
-                    return;
-                }
+// Controlled depth plus the optional oscillation (driven by simulation time so exports repeat)
+function getSpawnDepth() {
+    let depth = drawDepth;
+    if (settings.depthOscillation) {
+        depth += Math.sin(simulationTime * settings.depthOscillationSpeed * Math.PI * 2) * settings.depthOscillationAmplitude;
+    }
+    return depth;
+}
 
-                loadedGeometry = mesh.geometry.clone();
-                loadedMaterial = mesh.material.clone ? mesh.material.clone() : mesh.material;
+// ========== DRAWING TARGET ==========
+// The pointer ray is cast against the selected target: an unbounded plane,
+// a sphere around the origin, or an uploaded "canvas" mesh. Returns
+// { point, normal } with the normal facing the camera, or null on a miss.
+function getDrawTargetHit(ndc = pointer) {
+    raycaster.setFromCamera(ndc, camera);
+    const ray = raycaster.ray;
 
-                loadedGeometry.computeBoundingBox();
-                loadedGeometry.center();
+    if (settings.drawTarget === 'sphere') {
+        drawSphere.radius = settings.drawSphereRadius;
+        const point = ray.intersectSphere(drawSphere, new THREE.Vector3());
+        if (!point) return null;
+        return { point: point, normal: point.clone().sub(drawSphere.center).normalize() };
+    }
 
-                const box = loadedGeometry.boundingBox;
-                const size = new THREE.Vector3();
-                box.getSize(size);
-                const maxDim = Math.max(size.x, size.y, size.z);
-                if (maxDim > 0) {
-                    const scale = 1 / maxDim;
-                    loadedGeometry.scale(scale, scale, scale);
-                }
+    // Without an uploaded mesh the mesh target falls back to the plane
+    if (settings.drawTarget === 'mesh' && drawTargetModel) {
+        const intersects = raycaster.intersectObject(drawTargetModel, true);
+        const hit = intersects.find(intersect => intersect.face);
+        if (!hit) return null;
+        const normal = hit.face.normal.clone().transformDirection(hit.object.matrixWorld);
+        if (normal.dot(ray.direction) > 0) normal.negate();
+        return { point: hit.point.clone(), normal: normal };
+    }
 
-                if (particlePool.instancedMesh) {
-                    scene.remove(particlePool.instancedMesh);
-                }
-                particlePool = new ParticlePool(1000);
-                const instancedMesh = particlePool.init(loadedGeometry, loadedMaterial);
-                scene.add(instancedMesh);
+    // Unbounded plane: math intersection so particles can spawn anywhere the pointer points
+    const normal = getDrawPlaneNormal();
+    drawPlane.set(normal, -settings.drawPlaneDepth);
+    const point = ray.intersectPlane(drawPlane, new THREE.Vector3());
+    if (!point) return null;
+    if (normal.dot(ray.direction) > 0) normal.negate();
+    return { point: point, normal: normal };
+}
 
-                isModelLoaded = true;
-                console.log('3D Trail: Model "' + modelName + '" loaded successfully!');
+function getDrawPlaneNormal() {
+    switch (settings.drawPlaneOrientation) {
+        case 'floor':
+            return new THREE.Vector3(0, 1, 0);
+        case 'side':
+            return new THREE.Vector3(1, 0, 0);
+        case 'camera':
+            // Faces the camera; depth is measured from the origin toward it
+            return camera.getWorldDirection(new THREE.Vector3()).negate();
+        case 'front':
+        default:
+            return new THREE.Vector3(0, 0, 1);
+    }
+}
 
-                // Apply material after model loads
-                applyCurrentMaterial();
+// Load a GLB as the drawing surface, centered at the origin and scaled to drawTargetSize
+async function loadDrawTargetModel(file) {
+    const url = URL.createObjectURL(file);
+    try {
+        const gltf = await loadGLTF(url);
+        clearDrawTargetModel();
+
+        const model = gltf.scene;
+        const box = new THREE.Box3().setFromObject(model);
+        const center = box.getCenter(new THREE.Vector3());
+        const size = box.getSize(new THREE.Vector3());
+        const maxDim = Math.max(size.x, size.y, size.z);
+
+        // Wrap so the normalizing transform stays separate from drawTargetSize
+        const normalized = new THREE.Group();
+        model.position.sub(center);
+        normalized.add(model);
+        normalized.scale.setScalar(maxDim > 0 ? 1 / maxDim : 1);
+
+        drawTargetModel = new THREE.Group();
+        drawTargetModel.name = file.name;
+        drawTargetModel.add(normalized);
+        scene.add(drawTargetModel);
+        updateDrawTarget();
+
+        console.log('3D Trail: Drawing surface "' + file.name + '" loaded');
+        return drawTargetModel;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
 
-                resolve({ geometry: loadedGeometry, material: loadedMaterial, name: modelName });
-            },
-            (progress) => {
-                if (progress.lengthComputable) {
-                    console.log('3D Trail: Loading progress:', Math.round(progress.loaded / progress.total * 100) + '%');
-                }
-            },
-            (error) => {
-                console.error('3D Trail: Error loading GLB:', error);
-                reject(error);
-            }
-        );
+function clearDrawTargetModel() {
+    if (!drawTargetModel) return;
+    scene.remove(drawTargetModel);
+    drawTargetModel.traverse((child) => {
+        if (child.isMesh) {
+            child.geometry.dispose();
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach(material => material.dispose());
+        }
     });
+    drawTargetModel = null;
 }
 
+// Sync the surface mesh and sphere guide with the drawing target settings
+function updateDrawTarget() {
+    if (drawTargetModel) {
+        drawTargetModel.scale.setScalar(settings.drawTargetSize);
+        drawTargetModel.visible = settings.drawTarget === 'mesh' && settings.showDrawTarget;
+        drawTargetModel.updateMatrixWorld(true);
+    }
+    if (drawSphereGuide) {
+        drawSphereGuide.scale.setScalar(settings.drawSphereRadius);
+        drawSphereGuide.visible = settings.drawTarget === 'sphere' && settings.showDrawTarget;
+    }
+}
 
-async function loadGLBModel(file) {
+// ========== GLB LOADING ==========
+function loadGLTF(url) {
     return new Promise((resolve, reject) => {
         // Get GLTFLoader from global scope (set by module import)
         const LoaderClass = window.GLTFLoader;
@@ -699,71 +1158,12 @@ async function loadGLBModel(file) {
         }
 
         const loader = new LoaderClass();
-        const url = URL.createObjectURL(file);
-        console.log('3D Trail: Loading GLB from blob URL:', url);
-
         loader.load(
             url,
             // Success callback
             (gltf) => {
                 console.log('3D Trail: GLB loaded successfully!', gltf);
-                console.log('3D Trail: Scene children:', gltf.scene.children);
-
-                // Find the first mesh in the loaded scene
-                let mesh = null;
-                gltf.scene.traverse((child) => {
-                    console.log('3D Trail: Traversing child:', child.type, child.name || '(unnamed)');
-                    if (child.isMesh && !mesh) {
-                        mesh = child;
-                        console.log('3D Trail: Found mesh to use:', mesh.name || '(unnamed)', mesh.geometry, mesh.material);
-                    }
-                });
-
-                if (!mesh) {
-                    URL.revokeObjectURL(url);
-                    reject(new Error('No mesh found in GLB file'));
-                    return;
-                }
-
-                // Store geometry and material
-                loadedGeometry = mesh.geometry.clone();
-                loadedMaterial = mesh.material.clone ? mesh.material.clone() : mesh.material;
-                console.log('3D Trail: Geometry cloned:', loadedGeometry);
-                console.log('3D Trail: Material cloned:', loadedMaterial);
-
-                // Center and normalize geometry
-                loadedGeometry.computeBoundingBox();
-                loadedGeometry.center();
-
-                // Scale geometry to reasonable size
-                const box = loadedGeometry.boundingBox;
-                const size = new THREE.Vector3();
-                box.getSize(size);
-                console.log('3D Trail: Model size before scaling:', size);
-                const maxDim = Math.max(size.x, size.y, size.z);
-                if (maxDim > 0) {
-                    const scale = 1 / maxDim;
-                    loadedGeometry.scale(scale, scale, scale);
-                    console.log('3D Trail: Scaled geometry by factor:', scale);
-                }
-
-                URL.revokeObjectURL(url);
-
-                // Initialize particle pool with loaded geometry
-                if (particlePool.instancedMesh) {
-                    scene.remove(particlePool.instancedMesh);
-                }
-                particlePool = new ParticlePool(1000);
-                const instancedMesh = particlePool.init(loadedGeometry, loadedMaterial);
-                scene.add(instancedMesh);
-
-                isModelLoaded = true;
-                console.log('3D Trail: Model loaded successfully, ready to create trails!');
-
-                // Apply current material settings to new model
-                applyCurrentMaterial();
-
-                resolve({ geometry: loadedGeometry, material: loadedMaterial });
+                resolve(gltf);
             },
             // Progress callback
             (progress) => {
@@ -774,67 +1174,962 @@ async function loadGLBModel(file) {
             // Error callback
             (error) => {
                 console.error('3D Trail: Error loading GLB:', error);
-                URL.revokeObjectURL(url);
                 reject(error);
             }
         );
     });
 }
 
-function clearModel() {
-    if (particlePool && particlePool.instancedMesh) {
-        particlePool.clear();
-        scene.remove(particlePool.instancedMesh);
-    }
-    loadedGeometry = null;
-    loadedMaterial = null;
-    isModelLoaded = false;
-    particlePool = new ParticlePool(1000);
-}
+// Load a GLB from a URL and make it the only model
+async function loadGLBFromURL(url, modelName = 'model') {
+    console.log('3D Trail: Loading GLB from URL:', url);
+    const gltf = await loadGLTF(url);
+    const model = buildModelFromGLTF(gltf);
 
-// ========== PARTICLE SPAWNING ==========
-function trySpawnParticle(currentTime) {
-    if (!isMouseDown || !isModelLoaded) return;
+    setModelLibrary([{ name: modelName, geometry: model.geometry, material: model.material, animation: model.animation }]);
+    console.log('3D Trail: Model "' + modelName + '" loaded successfully!');
 
-    // Distance-based spawning: spawn when accumulated distance exceeds spacing
-    if (accumulatedDistance < settings.spacing) return;
-    accumulatedDistance -= settings.spacing;  // Preserve remainder for smooth spawning
+    return { geometry: loadedGeometry, material: loadedMaterial, name: modelName };
+}
 
-    const worldPos = getWorldPosition();
-    if (!worldPos) return;
+// Load a GLB file and make it the only model
+async function loadGLBModel(file) {
+    const model = await loadGLBFile(file);
 
-    // Calculate scale based on size settings
-    let scale;
-    if (settings.randomSize) {
-        // Random size between min and max
-        scale = THREE.MathUtils.lerp(settings.sizeMin, settings.sizeMax, Math.random());
-    } else if (settings.sizeBySpeed && mouseSpeed > 0) {
-        // Size based on mouse speed
-        const speedNorm = Math.min(mouseSpeed / 50, 1);
-        scale = THREE.MathUtils.lerp(settings.sizeMin, settings.sizeMax, speedNorm);
-    } else {
-        // Use single fixed size value
-        scale = settings.size;
-    }
+    setModelLibrary([model]);
+    console.log('3D Trail: Model loaded successfully, ready to create trails!');
 
-    // Create particle - choose pool based on gradient mode
-    const moveDir = new THREE.Vector2(lastMoveDirection.x, lastMoveDirection.y);
+    return { geometry: loadedGeometry, material: loadedMaterial };
+}
 
-    // Use lerp pools for sequential lerp mode
-    if (useLerpPools && settings.gradientSets.length >= 2 && settings.multiGradientMode === 'lerp') {
-        const { pool } = lerpPools[lerpIndex];
+// Load a GLB file and append it to the model library
+async function addModelToLibrary(file) {
+    const model = await loadGLBFile(file);
 
-        const index = pool.acquire();
-        if (index === null) return;
+    setModelLibrary([...modelLibrary, model]);
+    console.log('3D Trail: Model "' + model.name + '" added to library (' + modelLibrary.length + ' models)');
 
-        const particle = new Particle(index, worldPos, moveDir);
-        particle.initialScale = scale;
-        particle.scale.set(scale, scale, scale);
-        particle.lifespan = settings.lifespan;
-        particle.poolIndex = lerpIndex;
-        particle.isLerpPool = true;
+    return model;
+}
 
-        pool.particles.set(index, particle);
+async function loadGLBFile(file) {
+    const url = URL.createObjectURL(file);
+    console.log('3D Trail: Loading GLB from blob URL:', url);
+
+    try {
+        const gltf = await loadGLTF(url);
+        const model = buildModelFromGLTF(gltf);
+        return { name: file.name, geometry: model.geometry, material: model.material, animation: model.animation };
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Merge every mesh in the GLB scene into one geometry so multi-part models
+// instance as a single unit. World transforms are baked in, and each source
+// material becomes a geometry group so per-part materials are preserved.
+function buildModelFromGLTF(gltf) {
+    gltf.scene.updateMatrixWorld(true);
+
+    const meshes = [];
+    gltf.scene.traverse((child) => {
+        if (child.isMesh) {
+            console.log('3D Trail: Found mesh:', child.name || '(unnamed)', child.geometry, child.material);
+            meshes.push(child);
+        }
+    });
+
+    if (meshes.length === 0) {
+        throw new Error('No mesh found in GLB file');
+    }
+
+    const parts = meshes.map(mesh => extractMeshPart(mesh));
+    const geometry = mergeModelParts(parts);
+    const materials = [];
+    parts.forEach(part => {
+        part.materials.forEach(material => {
+            materials.push(material.clone ? material.clone() : material);
+        });
+    });
+
+    // Center and normalize geometry to a unit bounding box
+    geometry.computeBoundingBox();
+    const center = new THREE.Vector3();
+    geometry.boundingBox.getCenter(center);
+    geometry.translate(-center.x, -center.y, -center.z);
+
+    const box = geometry.boundingBox;
+    const size = new THREE.Vector3();
+    box.getSize(size);
+    console.log('3D Trail: Model size before scaling:', size);
+    const maxDim = Math.max(size.x, size.y, size.z);
+    const scale = maxDim > 0 ? 1 / maxDim : 1;
+    if (maxDim > 0) {
+        geometry.scale(scale, scale, scale);
+        console.log('3D Trail: Scaled geometry by factor:', scale);
+    }
+
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+
+    // Per-vertex lookup into the vertex animation atlas (filled in when clips are baked)
+    const vertexCount = geometry.attributes.position.count;
+    geometry.setAttribute('vatInfo', new THREE.BufferAttribute(new Float32Array(vertexCount * 4), 4));
+
+    console.log('3D Trail: Merged', meshes.length, 'mesh(es) with', materials.length, 'material(s)');
+
+    // Keep what's needed to bake the embedded clips later on
+    const animation = gltf.animations.length > 0 ? {
+        scene: gltf.scene,
+        meshes: meshes,
+        clips: gltf.animations,
+        center: center,
+        scale: scale,
+        bakes: new Map()  // clipIndex -> baked frames
+    } : null;
+
+    if (animation) {
+        console.log('3D Trail: Found', gltf.animations.length, 'animation clip(s):', gltf.animations.map(clip => clip.name));
+    }
+
+    return {
+        geometry: geometry,
+        material: materials.length === 1 ? materials[0] : materials,
+        animation: animation
+    };
+}
+
+// Read a mesh into plain float arrays in world space
+// (getVertexPosition applies morph targets and skinning for the current pose)
+function extractMeshPart(mesh) {
+    const source = mesh.geometry;
+    const vertexCount = source.attributes.position.count;
+    const normalMatrix = new THREE.Matrix3().getNormalMatrix(mesh.matrixWorld);
+
+    if (!source.attributes.normal) {
+        source.computeVertexNormals();
+    }
+    const normalAttr = source.attributes.normal;
+    const uvAttr = source.attributes.uv;
+
+    const positions = new Float32Array(vertexCount * 3);
+    const normals = new Float32Array(vertexCount * 3);
+    const uvs = new Float32Array(vertexCount * 2);
+    const vertex = new THREE.Vector3();
+
+    for (let i = 0; i < vertexCount; i++) {
+        mesh.getVertexPosition(i, vertex);
+        vertex.applyMatrix4(mesh.matrixWorld);
+        positions[i * 3] = vertex.x;
+        positions[i * 3 + 1] = vertex.y;
+        positions[i * 3 + 2] = vertex.z;
+
+        vertex.fromBufferAttribute(normalAttr, i).applyMatrix3(normalMatrix).normalize();
+        normals[i * 3] = vertex.x;
+        normals[i * 3 + 1] = vertex.y;
+        normals[i * 3 + 2] = vertex.z;
+
+        if (uvAttr) {
+            uvs[i * 2] = uvAttr.getX(i);
+            uvs[i * 2 + 1] = uvAttr.getY(i);
+        }
+    }
+
+    // Always work with indexed triangles so parts can be concatenated
+    let indices;
+    if (source.index) {
+        indices = Array.from(source.index.array);
+    } else {
+        indices = Array.from({ length: vertexCount }, (_, i) => i);
+    }
+
+    // A negative-determinant transform (mirrored node) flips the winding
+    if (mesh.matrixWorld.determinant() < 0) {
+        for (let i = 0; i < indices.length; i += 3) {
+            const temp = indices[i + 1];
+            indices[i + 1] = indices[i + 2];
+            indices[i + 2] = temp;
+        }
+    }
+
+    const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+    const groups = Array.isArray(mesh.material) && source.groups.length > 0
+        ? source.groups.map(group => ({ start: group.start, count: group.count, materialIndex: group.materialIndex }))
+        : [{ start: 0, count: indices.length, materialIndex: 0 }];
+
+    return { positions, normals, uvs, indices, groups, materials, vertexCount };
+}
+
+// Concatenate extracted parts into one indexed BufferGeometry with material groups
+function mergeModelParts(parts) {
+    const totalVertices = parts.reduce((sum, part) => sum + part.vertexCount, 0);
+    const totalIndices = parts.reduce((sum, part) => sum + part.indices.length, 0);
+
+    const positions = new Float32Array(totalVertices * 3);
+    const normals = new Float32Array(totalVertices * 3);
+    const uvs = new Float32Array(totalVertices * 2);
+    const IndexArray = totalVertices > 65535 ? Uint32Array : Uint16Array;
+    const indices = new IndexArray(totalIndices);
+
+    const geometry = new THREE.BufferGeometry();
+    let vertexOffset = 0;
+    let indexOffset = 0;
+    let materialOffset = 0;
+
+    parts.forEach((part) => {
+        positions.set(part.positions, vertexOffset * 3);
+        normals.set(part.normals, vertexOffset * 3);
+        uvs.set(part.uvs, vertexOffset * 2);
+
+        for (let i = 0; i < part.indices.length; i++) {
+            indices[indexOffset + i] = part.indices[i] + vertexOffset;
+        }
+
+        part.groups.forEach((group) => {
+            geometry.addGroup(indexOffset + group.start, group.count, materialOffset + group.materialIndex);
+        });
+
+        vertexOffset += part.vertexCount;
+        indexOffset += part.indices.length;
+        materialOffset += part.materials.length;
+    });
+
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+    geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+    geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+
+    return geometry;
+}
+
+// Replace the main particle pool with one built from the given model
+function installModel(geometry, material) {
+    loadedGeometry = geometry;
+    loadedMaterial = material;
+
+    if (particlePool.instancedMesh) {
+        particlePool.clear();
+        scene.remove(particlePool.instancedMesh);
+    }
+    particlePool = new ParticlePool(getPoolCapacity());
+    const instancedMesh = particlePool.init(loadedGeometry, loadedMaterial);
+    scene.add(instancedMesh);
+
+    // The model's own (per-part) materials, used by the 'original' material type
+    originalMaterial = instancedMesh.material;
+
+    isModelLoaded = true;
+
+    // Apply current material settings to new model
+    applyCurrentMaterial();
+}
+
+// ========== MODEL LIBRARY MANAGEMENT ==========
+// Replace the library and rebuild pools; the first entry becomes the primary model
+function setModelLibrary(models) {
+    const primaryChanged = models[0] !== modelLibrary[0];
+    modelLibrary = models;
+
+    if (modelLibrary.length === 0) {
+        clearModel();
+        return;
+    }
+
+    if (primaryChanged) {
+        installModel(modelLibrary[0].geometry, modelLibrary[0].material);
+    }
+    initModelPools();
+    rebuildVertexAnimation();
+
+    document.dispatchEvent(new CustomEvent('model-library-changed'));
+}
+
+function removeModelFromLibrary(index) {
+    if (index < 0 || index >= modelLibrary.length) return;
+
+    const models = modelLibrary.filter((_, i) => i !== index);
+    settings.modelWeights.splice(index, 1);
+    setModelLibrary(models);
+}
+
+// Create one pool per additional library model
+function initModelPools() {
+    cleanupModelPools();
+
+    modelLibrary.slice(1).forEach((model, i) => {
+        const pool = new ParticlePool(getPoolCapacity());
+        const mesh = pool.init(model.geometry, model.material);
+        scene.add(mesh);
+
+        modelPools.push({
+            pool: pool,
+            mesh: mesh,
+            modelIndex: i + 1,
+            originalMaterial: mesh.material
+        });
+
+        if (useAgeFading) {
+            addAgeFadingAttribute(pool);
+        }
+    });
+
+    syncModelPoolMaterials();
+}
+
+function cleanupModelPools() {
+    modelPools.forEach(({ pool, mesh, originalMaterial }) => {
+        pool.clear();
+        scene.remove(mesh);
+        // Only the pool's own material clones are disposed - the current material is shared with the main pool
+        (Array.isArray(originalMaterial) ? originalMaterial : [originalMaterial]).forEach(m => m.dispose());
+    });
+    modelPools = [];
+    modelSequenceIndex = 0;
+}
+
+// Library models share the primary model's current material so the whole trail
+// matches; in 'original' mode each model keeps its own materials instead.
+// Per-particle gradient pools (random/lerp) only apply to the primary model.
+function syncModelPoolMaterials() {
+    if (!particlePool?.instancedMesh) return;
+
+    modelPools.forEach((entry) => {
+        if (settings.materialType === 'original' || !settings.materialEnabled) {
+            entry.mesh.material = entry.originalMaterial;
+        } else {
+            entry.mesh.material = particlePool.instancedMesh.material;
+        }
+    });
+}
+
+// Pick the library slot for the next particle; speed is the spawning stroke's speed
+function selectModelIndex(speed) {
+    const count = modelLibrary.length;
+
+    switch (settings.modelSelectionMode) {
+        case 'sequence': {
+            const index = modelSequenceIndex % count;
+            modelSequenceIndex = (modelSequenceIndex + 1) % count;
+            return index;
+        }
+        case 'weighted': {
+            const weights = modelLibrary.map((_, i) => Math.max(0, settings.modelWeights[i] ?? 1));
+            const total = weights.reduce((sum, w) => sum + w, 0);
+            if (total <= 0) return 0;
+
+            let r = random() * total;
+            for (let i = 0; i < count; i++) {
+                r -= weights[i];
+                if (r < 0) return i;
+            }
+            return count - 1;
+        }
+        case 'speed': {
+            // Slow strokes draw the first model, fast strokes the last
+            const speedNorm = Math.min(speed / 50, 1);
+            return Math.min(count - 1, Math.floor(speedNorm * count));
+        }
+        case 'random':
+        default:
+            return Math.floor(random() * count);
+    }
+}
+
+function clearModel() {
+    cleanupModelPools();
+    modelLibrary = [];
+
+    if (particlePool && particlePool.instancedMesh) {
+        particlePool.clear();
+        scene.remove(particlePool.instancedMesh);
+    }
+    loadedGeometry = null;
+    loadedMaterial = null;
+    originalMaterial = null;
+    isModelLoaded = false;
+    particlePool = new ParticlePool(getPoolCapacity());
+    rebuildVertexAnimation();
+
+    document.dispatchEvent(new CustomEvent('model-library-changed'));
+}
+
+// ========== VERTEX ANIMATION ==========
+const VERTEX_ANIMATION_FPS = 30;          // Bake rate for embedded clips
+const VERTEX_ANIMATION_MAX_FRAMES = 120;  // Longer clips are sampled more sparsely
+const VERTEX_ANIMATION_TEXELS = 2;        // Texels per vertex per frame (position, normal)
+
+// Sample one clip of an animated model into a flat array of frames laid out as
+// [frame][vertex][position xyzw, normal xyzw], normalized like the static geometry
+function bakeModelAnimation(animation, clipIndex) {
+    if (animation.bakes.has(clipIndex)) return animation.bakes.get(clipIndex);
+
+    const clip = animation.clips[clipIndex];
+    if (!clip || clip.duration <= 0) return null;
+
+    const frameCount = THREE.MathUtils.clamp(
+        Math.ceil(clip.duration * VERTEX_ANIMATION_FPS), 2, VERTEX_ANIMATION_MAX_FRAMES
+    );
+    const mixer = new THREE.AnimationMixer(animation.scene);
+    mixer.clipAction(clip).play();
+
+    const { center, scale } = animation;
+    let frames = null;
+    let vertexCount = 0;
+
+    for (let f = 0; f < frameCount; f++) {
+        // The last frame stops short of the clip end so looping wraps back to frame 0
+        mixer.setTime(clip.duration * f / frameCount);
+        animation.scene.updateMatrixWorld(true);
+
+        const parts = animation.meshes.map(mesh => extractMeshPart(mesh));
+        if (!frames) {
+            vertexCount = parts.reduce((sum, part) => sum + part.vertexCount, 0);
+            frames = new Float32Array(frameCount * vertexCount * VERTEX_ANIMATION_TEXELS * 4);
+        }
+
+        let offset = f * vertexCount * VERTEX_ANIMATION_TEXELS * 4;
+        parts.forEach((part, p) => {
+            // Authored normals don't follow skinning or morphs, so deformed parts are re-shaded
+            const mesh = animation.meshes[p];
+            const normals = (mesh.isSkinnedMesh || mesh.morphTargetInfluences)
+                ? computePartNormals(part)
+                : part.normals;
+
+            for (let i = 0; i < part.vertexCount; i++) {
+                frames[offset] = (part.positions[i * 3] - center.x) * scale;
+                frames[offset + 1] = (part.positions[i * 3 + 1] - center.y) * scale;
+                frames[offset + 2] = (part.positions[i * 3 + 2] - center.z) * scale;
+                frames[offset + 3] = 1;
+                frames[offset + 4] = normals[i * 3];
+                frames[offset + 5] = normals[i * 3 + 1];
+                frames[offset + 6] = normals[i * 3 + 2];
+                frames[offset + 7] = 0;
+                offset += 8;
+            }
+        });
+    }
+
+    // Stopping the action restores the scene to its rest pose
+    mixer.stopAllAction();
+    mixer.uncacheRoot(animation.scene);
+
+    const bake = { frames, frameCount, vertexCount, duration: clip.duration };
+    animation.bakes.set(clipIndex, bake);
+    console.log('3D Trail: Baked clip "' + clip.name + '" (' + frameCount + ' frames, ' + vertexCount + ' vertices)');
+
+    return bake;
+}
+
+// Smooth normals for a deformed pose of an extracted part
+function computePartNormals(part) {
+    const temp = new THREE.BufferGeometry();
+    temp.setAttribute('position', new THREE.BufferAttribute(part.positions, 3));
+    temp.setIndex(part.indices);
+    temp.computeVertexNormals();
+    const normals = temp.getAttribute('normal').array;
+    temp.dispose();
+    return normals;
+}
+
+// Pack the selected clip of every animated library model into one float texture
+// and point each model's vatInfo attribute at its region
+function rebuildVertexAnimation() {
+    if (vertexAnimationTexture) {
+        vertexAnimationTexture.dispose();
+        vertexAnimationTexture = null;
+    }
+    vertexAnimationUniforms.vatTexture.value = null;
+    vertexAnimationUniforms.vatEnabled.value = 0;
+
+    const maxSize = renderer ? Math.min(renderer.capabilities.maxTextureSize, 4096) : 4096;
+    const entries = [];
+    let totalTexels = 0;
+
+    modelLibrary.forEach((model) => {
+        const vatInfo = model.geometry.getAttribute('vatInfo');
+        if (vatInfo) {
+            vatInfo.array.fill(0);
+            vatInfo.needsUpdate = true;
+        }
+        if (!vatInfo || !model.animation || !settings.modelAnimationEnabled) return;
+
+        const clipIndex = Math.min(settings.modelAnimationClip, model.animation.clips.length - 1);
+        const bake = bakeModelAnimation(model.animation, clipIndex);
+        if (!bake || bake.vertexCount !== vatInfo.count) return;
+
+        const texels = bake.frames.length / 4;
+        if (totalTexels + texels > maxSize * maxSize) {
+            console.warn('3D Trail: Animation for "' + model.name + '" does not fit in the vertex animation texture');
+            return;
+        }
+
+        entries.push({ vatInfo, bake, start: totalTexels });
+        totalTexels += texels;
+    });
+
+    if (entries.length === 0) return;
+
+    const width = maxSize;
+    const height = Math.ceil(totalTexels / width);
+    const data = new Float32Array(width * height * 4);
+
+    entries.forEach(({ vatInfo, bake, start }) => {
+        data.set(bake.frames, start * 4);
+
+        const frameStride = bake.vertexCount * VERTEX_ANIMATION_TEXELS;
+        for (let i = 0; i < bake.vertexCount; i++) {
+            vatInfo.setXYZW(i, start + i * VERTEX_ANIMATION_TEXELS, frameStride, bake.frameCount, bake.duration);
+        }
+        vatInfo.needsUpdate = true;
+    });
+
+    vertexAnimationTexture = new THREE.DataTexture(data, width, height, THREE.RGBAFormat, THREE.FloatType);
+    vertexAnimationTexture.needsUpdate = true;
+
+    vertexAnimationUniforms.vatTexture.value = vertexAnimationTexture;
+    vertexAnimationUniforms.vatTextureWidth.value = width;
+    vertexAnimationUniforms.vatEnabled.value = 1;
+}
+
+// Advance clip playback and make sure every pool material samples the atlas
+function updateVertexAnimation(delta) {
+    if (!vertexAnimationTexture) return;
+
+    animationTime += delta * settings.modelAnimationSpeed;
+    vertexAnimationUniforms.vatTime.value = animationTime;
+}
+
+// ========== INSTANCE SHADER PATCH ==========
+// Every pool material gets the same extra shader code on top of its own patch:
+// baked vertex animation, per-instance exit fade (opacity + noise dissolve) and
+// instance transforms read from the GPU simulation while it runs.
+const EXIT_BLENDED_MODES = ['fade', 'flyaway'];  // Exit styles that need alpha blending
+
+// True when the entrance or exit style makes instances partially transparent
+function needsInstanceBlending() {
+    return EXIT_BLENDED_MODES.includes(settings.disappearMode) || settings.appearMode === 'fade';
+}
+
+// Patch whatever is on the pools now (materials are swapped in many places) and
+// switch blending on while an entrance or exit style fades instances
+function syncInstanceMaterials() {
+    const blended = needsInstanceBlending();
+
+    getParticlePools().forEach((pool) => {
+        const material = pool.instancedMesh?.material;
+        if (!material) return;
+
+        (Array.isArray(material) ? material : [material]).forEach((m) => {
+            addInstanceShaderPatch(m);
+
+            const transparent = blended || materialBaseTransparency.get(m);
+            if (m.transparent !== transparent) {
+                m.transparent = transparent;
+                m.needsUpdate = true;  // Opaque materials compile without alpha output
+            }
+        });
+    });
+}
+
+// Chain the instance code onto a material's existing onBeforeCompile
+function addInstanceShaderPatch(material) {
+    if (instancePatchedMaterials.has(material)) return;
+    instancePatchedMaterials.add(material);
+    materialBaseTransparency.set(material, material.transparent);
+
+    const baseOnBeforeCompile = material.onBeforeCompile;
+    const baseCacheKey = material.customProgramCacheKey();
+
+    material.onBeforeCompile = (shader, renderer) => {
+        baseOnBeforeCompile.call(material, shader, renderer);
+
+        Object.assign(shader.uniforms, vertexAnimationUniforms, gpuParticleUniforms);
+
+        shader.vertexShader = shader.vertexShader.replace(
+            '#include <common>',
+            `#include <common>
+            attribute vec4 vatInfo;            // x: first texel, y: texels per frame, z: frames, w: duration
+            attribute vec2 instanceAnimation;  // x: playback time at spawn, y: phase (0-1)
+            uniform sampler2D vatTexture;
+            uniform int vatTextureWidth;
+            uniform float vatTime;
+            uniform float vatEnabled;
+
+            vec4 vatFetch(int texel) {
+                return texelFetch(vatTexture, ivec2(texel % vatTextureWidth, texel / vatTextureWidth), 0);
+            }
+
+            // Interpolated baked pose for this vertex; false for static models
+            bool vatSample(out vec3 vatPosition, out vec3 vatNormal) {
+                if (vatEnabled < 0.5 || vatInfo.z < 1.0) return false;
+
+                float cycle = fract((vatTime - instanceAnimation.x) / vatInfo.w + instanceAnimation.y);
+                float frame = cycle * vatInfo.z;
+                int frameCount = int(vatInfo.z + 0.5);
+                int frameA = min(int(frame), frameCount - 1);
+                int frameB = (frameA + 1) % frameCount;
+                float blend = frame - float(frameA);
+
+                int texelA = int(vatInfo.x + 0.5) + frameA * int(vatInfo.y + 0.5);
+                int texelB = int(vatInfo.x + 0.5) + frameB * int(vatInfo.y + 0.5);
+                vatPosition = mix(vatFetch(texelA).xyz, vatFetch(texelB).xyz, blend);
+                vatNormal = normalize(mix(vatFetch(texelA + 1).xyz, vatFetch(texelB + 1).xyz, blend));
+                return true;
+            }
+
+            attribute vec2 instanceFade;  // x: opacity, y: dissolve amount (0-1)
+            varying vec2 vInstanceFade;
+            varying vec3 vDissolvePosition;
+
+            #ifdef USE_INSTANCING
+            // GPU simulation output for slot gpuSlotBase + gl_InstanceID (see js/gpu-simulation.js)
+            attribute float gpuSlotBase;
+            uniform float gpuParticlesEnabled;
+            uniform sampler2D gpuParticlePosition;  // xyz: position
+            uniform sampler2D gpuParticleVelocity;  // w: scale
+            uniform sampler2D gpuParticleSpin;      // w: opacity
+            uniform sampler2D gpuParticleRotation;  // xyz: quaternion (w >= 0), w: dissolve
+            mat4 gpuInstanceMatrix;
+            vec2 gpuInstanceFade;
+
+            void gpuParticleFetch() {
+                if (gpuParticlesEnabled < 0.5) {
+                    gpuInstanceMatrix = instanceMatrix;
+                    gpuInstanceFade = instanceFade;
+                    return;
+                }
+                int slot = int(gpuSlotBase + 0.5) + gl_InstanceID;
+                ivec2 texel = ivec2(slot % ${GPUParticleSimulation.TEXTURE_WIDTH}, slot / ${GPUParticleSimulation.TEXTURE_WIDTH});
+                vec3 p = texelFetch(gpuParticlePosition, texel, 0).xyz;
+                float s = texelFetch(gpuParticleVelocity, texel, 0).w;
+                vec4 r = texelFetch(gpuParticleRotation, texel, 0);
+                vec4 q = vec4(r.xyz, sqrt(max(0.0, 1.0 - dot(r.xyz, r.xyz))));
+
+                // Same as Matrix4.compose(position, quaternion, scale)
+                vec3 q2 = q.xyz * 2.0;
+                float xx = q.x * q2.x, xy = q.x * q2.y, xz = q.x * q2.z;
+                float yy = q.y * q2.y, yz = q.y * q2.z, zz = q.z * q2.z;
+                float wx = q.w * q2.x, wy = q.w * q2.y, wz = q.w * q2.z;
+                gpuInstanceMatrix = mat4(
+                    (1.0 - (yy + zz)) * s, (xy + wz) * s, (xz - wy) * s, 0.0,
+                    (xy - wz) * s, (1.0 - (xx + zz)) * s, (yz + wx) * s, 0.0,
+                    (xz + wy) * s, (yz - wx) * s, (1.0 - (xx + yy)) * s, 0.0,
+                    p, 1.0
+                );
+                gpuInstanceFade = vec2(texelFetch(gpuParticleSpin, texel, 0).w, r.w);
+            }
+
+            // Every chunk after this point sees the simulated transform
+            #define instanceMatrix gpuInstanceMatrix
+            #endif`
+        );
+
+        shader.vertexShader = shader.vertexShader.replace(
+            'void main() {',
+            `void main() {
+            #ifdef USE_INSTANCING
+            gpuParticleFetch();
+            #endif`
+        );
+
+        shader.vertexShader = shader.vertexShader.replace(
+            '#include <beginnormal_vertex>',
+            `#include <beginnormal_vertex>
+            {
+                vec3 vatPosition;
+                vec3 vatNormal;
+                if (vatSample(vatPosition, vatNormal)) objectNormal = vatNormal;
+            }`
+        );
+
+        shader.vertexShader = shader.vertexShader.replace(
+            '#include <begin_vertex>',
+            `#include <begin_vertex>
+            {
+                vec3 vatPosition;
+                vec3 vatNormal;
+                if (vatSample(vatPosition, vatNormal)) transformed = vatPosition;
+            }
+            #ifdef USE_INSTANCING
+            vInstanceFade = gpuInstanceFade;
+            #else
+            vInstanceFade = instanceFade;
+            #endif
+            vDissolvePosition = transformed;`
+        );
+
+        shader.fragmentShader = shader.fragmentShader.replace(
+            '#include <common>',
+            `#include <common>
+            varying vec2 vInstanceFade;
+            varying vec3 vDissolvePosition;
+
+            // Value noise over model space, so the dissolve pattern sticks to the object
+            float dissolveHash(vec3 p) {
+                return fract(sin(dot(p, vec3(127.1, 311.7, 74.7))) * 43758.5453);
+            }
+
+            float dissolveNoise(vec3 p) {
+                vec3 i = floor(p);
+                vec3 f = fract(p);
+                f = f * f * (3.0 - 2.0 * f);
+                return mix(
+                    mix(mix(dissolveHash(i), dissolveHash(i + vec3(1, 0, 0)), f.x),
+                        mix(dissolveHash(i + vec3(0, 1, 0)), dissolveHash(i + vec3(1, 1, 0)), f.x), f.y),
+                    mix(mix(dissolveHash(i + vec3(0, 0, 1)), dissolveHash(i + vec3(1, 0, 1)), f.x),
+                        mix(dissolveHash(i + vec3(0, 1, 1)), dissolveHash(i + vec3(1, 1, 1)), f.x), f.y),
+                    f.z
+                );
+            }`
+        );
+
+        shader.fragmentShader = shader.fragmentShader.replace(
+            '#include <color_fragment>',
+            `#include <color_fragment>
+            diffuseColor.a *= vInstanceFade.x;
+            if (vInstanceFade.y > 0.0 && dissolveNoise(vDissolvePosition * 8.0) < vInstanceFade.y) discard;`
+        );
+    };
+
+    // Keep programs distinct per base patch now that onBeforeCompile is a wrapper
+    material.customProgramCacheKey = () => baseCacheKey + '|instancePatch';
+    material.needsUpdate = true;
+}
+
+// ========== PARTICLE CAPACITY ==========
+// Every pool that can currently hold particles
+function getParticlePools() {
+    const pools = [];
+    if (particlePool?.instancedMesh) pools.push(particlePool);
+    if (useMultiGradientPools) gradientPools.forEach(({ pool }) => pools.push(pool));
+    if (useLerpPools) lerpPools.forEach(({ pool }) => pools.push(pool));
+    modelPools.forEach(({ pool }) => pools.push(pool));
+    return pools;
+}
+
+// Resize every pool to its share of settings.maxParticles
+function applyParticleCapacity() {
+    if (particlePool?.instancedMesh) particlePool.resize(getPoolCapacity());
+    modelPools.forEach(({ pool }) => pool.resize(getPoolCapacity()));
+    gradientPools.forEach(({ pool }) => pool.resize(getPoolCapacity(gradientPools.length)));
+    lerpPools.forEach(({ pool }) => pool.resize(getPoolCapacity(lerpPools.length)));
+}
+
+// Totals for the pool saturation indicator
+function getParticleStats() {
+    const pools = getParticlePools();
+    return {
+        active: pools.reduce((sum, pool) => sum + pool.activeCount, 0),
+        capacity: pools.reduce((sum, pool) => sum + pool.budget, 0),
+        dropped: pools.reduce((sum, pool) => sum + pool.droppedCount, 0),
+        recycled: pools.reduce((sum, pool) => sum + pool.recycledCount, 0),
+        expired: pools.reduce((sum, pool) => sum + pool.expiredCount, 0)
+    };
+}
+
+// Called by the pools whenever their counts change. The UI hears about it once,
+// after the current task, however many spawns and releases it made (pools added
+// or removed in that task are counted by then too).
+let particleStatsPending = false;
+
+function particleStatsChanged() {
+    if (particleStatsPending) return;
+    particleStatsPending = true;
+    queueMicrotask(() => {
+        particleStatsPending = false;
+        document.dispatchEvent(new CustomEvent('particle-stats-changed'));
+    });
+}
+
+// ========== PARTICLE SPAWNING ==========
+// Spacing in spacingUnit, scaled by the spacing driver: 1.5x at 0 down to 0.5x at full value
+function getSpawnSpacing(pen) {
+    if (settings.spacingDriver === 'none') return settings.spacing;
+    return settings.spacing * (1.5 - getPenDriverValue(settings.spacingDriver, pen));
+}
+
+// Screen pixels per spacing unit around canvas point (x, y). World units are
+// measured on the drawing plane, so they follow camera distance and perspective.
+function getSpacingUnitScale(unit, x = getCanvasSize().width / 2, y = getCanvasSize().height / 2) {
+    switch (unit) {
+        case 'percent':
+            return getCanvasSize().width / 100;
+        case 'world': {
+            const a = getCanvasWorldPosition(x, y);
+            const b = getCanvasWorldPosition(x + 1, y);
+            const distance = a && b ? a.distanceTo(b) : 0;
+            return distance > 0 ? 1 / distance : 1;
+        }
+        case 'pixels':
+        default:
+            return 1;
+    }
+}
+
+function getCanvasWorldPosition(x, y) {
+    const hit = getCanvasDrawTargetHit(x, y);
+    return hit ? hit.point : null;
+}
+
+function getCanvasDrawTargetHit(x, y) {
+    const size = getCanvasSize();
+    spawnPointer.set((x / size.width) * 2 - 1, -(y / size.height) * 2 + 1);
+    return getDrawTargetHit(spawnPointer);
+}
+
+function trySpawnParticle(delta) {
+    if (!isModelLoaded) return;
+
+    if (settings.emissionMode === 'distance') {
+        strokes.forEach(stroke => spawnAlongStroke(stroke));
+        return;
+    }
+
+    // Timed emission: every held stroke emits from its brush position
+    strokes.forEach((stroke) => {
+        // The path is only walked in distance mode; keep just the newest sample
+        stroke.path.splice(0, stroke.path.length - 1);
+        stroke.pathIndex = 0;
+        emitAtRate(stroke, stroke.brush.x, stroke.brush.y, stroke.pen, delta);
+    });
+
+    if (settings.emissionMode === 'continuous' && strokes.size === 0 && isPointerOverCanvas && !forceFieldEditMode) {
+        emitAtRate(hoverEmitter, currentMousePos.x, currentMousePos.y, penState, delta);
+    }
+}
+
+function emitAtRate(emitter, x, y, pen, delta) {
+    // Cap the backlog so a stalled frame (background tab) does not dump a burst
+    emitter.emitAccumulator = Math.min(
+        emitter.emitAccumulator + settings.emissionRate * delta,
+        Math.max(1, settings.emissionRate * 0.1)
+    );
+    while (emitter.emitAccumulator >= 1) {
+        emitter.emitAccumulator -= 1;
+        spawnParticle(emitter, x, y, pen, new THREE.Vector2(emitter.direction.x, emitter.direction.y));
+    }
+}
+
+// Walk the brush path recorded since the last frame and spawn a particle every
+// `spacing` pixels along it, so fast drags leave no gaps. With Catmull-Rom
+// smoothing each segment needs the sample after it, so the newest segment
+// waits for the next move (or the end of the stroke, when flush is set).
+function spawnAlongStroke(stroke, flush = false) {
+    const path = stroke.path;
+    const smooth = settings.strokeSmoothing === 'catmullRom';
+    const lastSegment = path.length - (smooth && !flush ? 3 : 2);
+
+    for (let i = stroke.pathIndex; i <= lastSegment; i++) {
+        const a = path[i];
+        const b = path[i + 1];
+
+        if (smooth) {
+            // Subdivide the curve into ~4px chords and walk those
+            const p0 = path[i - 1] || a;
+            const p3 = path[i + 2] || b;
+            const steps = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) / 4));
+            let prev = a;
+            for (let step = 1; step <= steps; step++) {
+                const t = step / steps;
+                const point = {
+                    x: catmullRom(p0.x, a.x, b.x, p3.x, t),
+                    y: catmullRom(p0.y, a.y, b.y, p3.y, t),
+                    pen: lerpPen(a.pen, b.pen, t)
+                };
+                spawnAlongSegment(stroke, prev, point);
+                prev = point;
+            }
+        } else {
+            spawnAlongSegment(stroke, a, b);
+        }
+    }
+
+    // Drop walked samples, keeping the one before the next segment for curve tangents
+    const next = Math.max(stroke.pathIndex, lastSegment + 1);
+    const keepFrom = Math.max(0, next - 1);
+    path.splice(0, keepFrom);
+    stroke.pathIndex = next - keepFrom;
+}
+
+function spawnAlongSegment(stroke, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const length = Math.sqrt(dx * dx + dy * dy);
+    if (length === 0) return;
+
+    const moveDir = new THREE.Vector2(dx / length, dy / length);
+    const unitScale = getSpacingUnitScale(settings.spacingUnit, a.x, a.y);
+    let along = 0;
+
+    // accumulatedDistance carries the remainder (in pixels) from earlier segments
+    let spacing = Math.max(0.5, getSpawnSpacing(a.pen) * unitScale);
+    while (stroke.accumulatedDistance + (length - along) >= spacing) {
+        along += spacing - stroke.accumulatedDistance;
+        stroke.accumulatedDistance = 0;
+
+        const t = along / length;
+        const pen = lerpPen(a.pen, b.pen, t);
+        spawnParticle(stroke, a.x + dx * t, a.y + dy * t, pen, moveDir);
+        spacing = Math.max(0.5, getSpawnSpacing(pen) * unitScale);
+    }
+    stroke.accumulatedDistance += length - along;
+}
+
+// Pressure and tilt blend between samples; twist takes the nearer sample so it never spins through the wrap
+function lerpPen(a, b, t) {
+    return {
+        pressure: a.pressure + (b.pressure - a.pressure) * t,
+        tiltX: a.tiltX + (b.tiltX - a.tiltX) * t,
+        tiltY: a.tiltY + (b.tiltY - a.tiltY) * t,
+        twist: t < 0.5 ? a.twist : b.twist
+    };
+}
+
+// emitter is a stroke or the hover emitter; its speed drives size by speed
+function spawnParticle(emitter, x, y, pen, moveDir) {
+    const hit = getCanvasDrawTargetHit(x, y);
+    if (!hit) return;
+    const worldPos = hit.point.addScaledVector(hit.normal, settings.surfaceOffset);
+    const surfaceNormal = settings.alignToSurface ? hit.normal : null;
+
+    // Depth control slides the spawn point along the view ray through it
+    const depth = getSpawnDepth();
+    if (depth !== 0) {
+        const viewRay = camera.isOrthographicCamera
+            ? camera.getWorldDirection(new THREE.Vector3())
+            : worldPos.clone().sub(camera.position).normalize();
+        worldPos.addScaledVector(viewRay, depth);
+    }
+
+    // Calculate scale based on size settings
+    let scale;
+    if (settings.sizeDriver !== 'none') {
+        // Size from pen pressure / tilt / twist
+        scale = THREE.MathUtils.lerp(settings.sizeMin, settings.sizeMax, getPenDriverValue(settings.sizeDriver, pen));
+    } else if (settings.randomSize) {
+        // Random size between min and max
+        scale = THREE.MathUtils.lerp(settings.sizeMin, settings.sizeMax, random());
+    } else if (settings.sizeBySpeed && emitter.speed > 0) {
+        // Size based on stroke speed
+        const speedNorm = Math.min(emitter.speed / 50, 1);
+        scale = THREE.MathUtils.lerp(settings.sizeMin, settings.sizeMax, speedNorm);
+    } else {
+        // Use single fixed size value
+        scale = settings.size;
+    }
+
+    // Create particle - choose pool based on model and gradient mode
+    const modelIndex = modelLibrary.length >= 2 ? selectModelIndex(emitter.speed) : 0;
+
+    // Use model pools for additional library models
+    if (modelIndex > 0 && modelPools[modelIndex - 1]) {
+        const { pool } = modelPools[modelIndex - 1];
+        pool.spawn(worldPos, moveDir, pen, surfaceNormal, scale);
+    }
+    // Use lerp pools for sequential lerp mode
+    else if (useLerpPools && settings.gradientSets.length >= 2 && settings.multiGradientMode === 'lerp') {
+        const { pool } = lerpPools[lerpIndex];
+        if (pool.spawn(worldPos, moveDir, pen, surfaceNormal, scale) === null) return;
 
         // Advance to next lerp index (cycle through sequence)
         lerpIndex = (lerpIndex + 1) % lerpPools.length;
@@ -842,293 +2137,669 @@ function trySpawnParticle(currentTime) {
     // Use multi-gradient pools for random per-particle gradient assignment
     else if (useMultiGradientPools && settings.gradientSets.length >= 2 && settings.multiGradientMode === 'random') {
         // Randomly select a gradient pool
-        const poolIndex = Math.floor(Math.random() * gradientPools.length);
+        const poolIndex = Math.floor(random() * gradientPools.length);
         const { pool } = gradientPools[poolIndex];
-
-        const index = pool.acquire();
-        if (index === null) return;
-
-        const particle = new Particle(index, worldPos, moveDir);
-        particle.initialScale = scale;
-        particle.scale.set(scale, scale, scale);
-        particle.lifespan = settings.lifespan;
-        particle.poolIndex = poolIndex;  // Track which pool this particle belongs to
-
-        pool.particles.set(index, particle);
+        pool.spawn(worldPos, moveDir, pen, surfaceNormal, scale);
     } else {
         // Standard single-pool mode
-        const index = particlePool.acquire();
-        if (index === null) return;
-
-        const particle = new Particle(index, worldPos, moveDir);
-        particle.initialScale = scale;
-        particle.scale.set(scale, scale, scale);
-        particle.lifespan = settings.lifespan;
-        particle.poolIndex = -1;  // Main pool
-
-        particlePool.particles.set(index, particle);
+        particlePool.spawn(worldPos, moveDir, pen, surfaceNormal, scale);
     }
 }
 
 // ========== PARTICLE UPDATE ==========
+// The CPU step itself lives in ParticleStore.update (js/particle-store.js) so it can
+// be benchmarked headless; this gathers its per-frame inputs and runs each pool.
+const cpuFrame = {
+    time: 0,
+    followTarget: null,     // Pointer on the drawing target, null when off it
+    lookTarget: null,       // Last known pointer position (look at mouse)
+    cameraPosition: null,
+    cameraFacing: null,     // Shared billboard direction for orthographic cameras
+    boundsPlanes: null,
+    noise: null,
+    random,
+    addFieldAcceleration: addForceFieldAcceleration,
+    fieldScale: 0
+};
+let cpuCameraFacing = null;  // Scratch vector behind cpuFrame.cameraFacing
+
 function updateParticles(delta) {
     const currentMouseWorld = getWorldPosition();
     // Update global mouse world position for face mouse mode
     if (currentMouseWorld) {
         currentMouseWorldPos.copy(currentMouseWorld);
     }
-    const cameraPosition = camera.position.clone();
-
-    // Helper function to update a single particle
-    function updateSingleParticle(particle, index, pool) {
-        particle.age += delta;
-
-        // Check lifespan
-        if (particle.age >= particle.lifespan) {
-            return true; // Mark for removal
-        }
-
-        const lifeRatio = particle.age / particle.lifespan;
-
-        // Apply float (space-like wiggle)
-        // Float adds movement to position - when disabled, the accumulated drift stays
-        // (this is intentional - float creates organic movement, not a reversible offset)
-        if (settings.floatEnabled) {
-            const time = clock.getElapsedTime();
-            const phase = particle.spawnTime + particle.phaseOffset;
-
-            switch (settings.floatStyle) {
-                case 'oscillate':
-                    particle.position.x += Math.sin(time * 2 + phase) * settings.floatAmplitude * delta;
-                    particle.position.y += Math.cos(time * 2.5 + phase * 1.3) * settings.floatAmplitude * delta;
-                    break;
-                case 'random':
-                    particle.velocity.x += (Math.random() - 0.5) * settings.floatAmplitude * delta * 2;
-                    particle.velocity.y += (Math.random() - 0.5) * settings.floatAmplitude * delta * 2;
-                    break;
-                case 'perlin':
-                    const noiseX = Math.sin(time * 0.7 + particle.index * 0.1) * Math.cos(time * 0.5 + phase);
-                    const noiseY = Math.cos(time * 0.6 + particle.index * 0.1) * Math.sin(time * 0.8 + phase);
-                    particle.position.x += noiseX * settings.floatAmplitude * delta;
-                    particle.position.y += noiseY * settings.floatAmplitude * delta;
-                    break;
-            }
+
+    // GPU path when enabled and possible; otherwise its particles come back to the CPU
+    if (!getGPUSimulationBlocker() && updateParticlesOnGPU(delta, currentMouseWorld)) return;
+    stopGPUSimulation();
+
+    cpuFrame.time = simulationTime;
+    cpuFrame.followTarget = currentMouseWorld;
+    cpuFrame.lookTarget = currentMouseWorldPos;
+    cpuFrame.cameraPosition = camera.position;
+    cpuFrame.cameraFacing = null;
+    if (camera.isOrthographicCamera) {
+        // Orthographic billboards all face back along the view direction
+        if (!cpuCameraFacing) cpuCameraFacing = new THREE.Vector3();
+        cpuFrame.cameraFacing = camera.getWorldDirection(cpuCameraFacing).negate();
+    }
+    cpuFrame.boundsPlanes = settings.boundsEnabled ? getViewBoundsPlanes() : null;
+    cpuFrame.noise = settings.floatStyle === 'curl' ? getCurlNoise() : null;
+    cpuFrame.fieldScale = FORCE_FIELD_SCALE;
+
+    // Separate overlapping particles before they move this step
+    if (settings.collisionsEnabled) {
+        resolveParticleCollisions(delta);
+    }
+
+    // Main, multi-gradient, library model and lerp pools
+    if (particlePool) particlePool.update(delta, cpuFrame);
+    if (useMultiGradientPools) {
+        gradientPools.forEach(({ pool }) => pool.update(delta, cpuFrame));
+    }
+    modelPools.forEach(({ pool }) => pool.update(delta, cpuFrame));
+    if (useLerpPools) {
+        lerpPools.forEach(({ pool }) => pool.update(delta, cpuFrame));
+    }
+}
+
+// Value of an over-lifetime curve at lifeRatio, or fallback when the curve is off
+function getLifetimeValue(name, lifeRatio, fallback = 1) {
+    const curve = settings.lifetimeCurves[name];
+    if (!curve || !curve.enabled || !window.CurveEditor) return fallback;
+    return CurveEditor.evaluate(curve, lifeRatio);
+}
+
+// ========== GPU SIMULATION ==========
+// The GPU path covers float, gravity, follow, bounce, spin / tumble, facing, lifetime
+// curves and every entrance / exit style but Drop In. Anything else it can't do, or a
+// renderer that can't run it well (no float targets, software rendering), keeps the
+// CPU path; particles are read back when switching, so nothing jumps.
+
+// Why the GPU path can't run right now, or null when it can
+function getGPUSimulationBlocker() {
+    if (!settings.gpuSimulation) return 'Off';
+    if (!gpuSimulationSupport) {
+        gpuSimulationSupport = window.GPUParticleSimulation
+            ? GPUParticleSimulation.checkSupport(renderer)
+            : { supported: false, reason: 'GPU simulation script not loaded' };
+        if (!gpuSimulationSupport.supported) {
+            console.warn('3D Trail: GPU simulation unavailable, using the CPU path -', gpuSimulationSupport.reason);
+        }
+    }
+    if (!gpuSimulationSupport.supported) return gpuSimulationSupport.reason;
+    if (settings.collisionsEnabled || settings.boundsEnabled) return 'Collisions run on the CPU';
+    if (settings.forceFields.length > 0) return 'Force fields run on the CPU';
+    if (settings.lookAtMouseEnabled) return 'Look at mouse runs on the CPU';
+    if (settings.alignToSurface) return 'Surface alignment runs on the CPU';
+    if (settings.appearMode === 'drop') return 'Drop In runs on the CPU';
+    if (settings.floatEnabled && settings.floatStyle === 'random') return 'Random float runs on the CPU (seeded)';
+    if (needsInstanceBlending()) return 'Blended fades are depth-sorted on the CPU';
+    return null;
+}
+
+// Which path updates particles, for the status line
+function getSimulationBackend() {
+    const reason = getGPUSimulationBlocker();
+    return { backend: reason ? 'cpu' : 'gpu', reason: reason || '' };
+}
+
+// Tell the UI when the backend or its reason changed. Called after the settings
+// getGPUSimulationBlocker reads change, and when the GPU path fails.
+let lastSimulationBackend = null;
+
+function updateSimulationBackend() {
+    const backend = getSimulationBackend();
+    if (lastSimulationBackend && backend.backend === lastSimulationBackend.backend && backend.reason === lastSimulationBackend.reason) return;
+    lastSimulationBackend = backend;
+    document.dispatchEvent(new CustomEvent('simulation-backend-changed'));
+}
+
+// Per-frame inputs of gpuSimulation.step, filled in like cpuFrame
+const gpuFrame = {
+    time: 0,
+    followTarget: null,
+    cameraPosition: null,
+    cameraFacing: null,
+    noise: null,
+    sampleCurve: getLifetimeValue
+};
+let gpuCameraFacing = null;  // Scratch vector behind gpuFrame.cameraFacing
+
+// Returns false if the simulation couldn't run, so the caller falls back to the CPU
+function updateParticlesOnGPU(delta, currentMouseWorld) {
+    const pools = getParticlePools();
+    const layoutChanged = pools.length !== gpuSimulationLayout.length || pools.some((pool, i) =>
+        gpuSimulationLayout[i].pool !== pool || gpuSimulationLayout[i].capacity !== pool.maxCount
+    );
+    if (!gpuSimulation || layoutChanged) {
+        stopGPUSimulation();
+        if (!startGPUSimulation(pools)) return false;
+    }
+
+    // Ages also run on the CPU so expired slots go back to their pool
+    // (the GPU hides them by itself)
+    pools.forEach((pool) => {
+        const { ages, lifespans, next } = pool.store;
+        for (let index = pool.store.head; index !== -1;) {
+            const following = next[index];
+            ages[index] += delta;
+            if (ages[index] >= lifespans[index]) pool.release(index);
+            index = following;
         }
+        pool.instancedMesh.count = pool.maxCount;
+    });
+
+    gpuFrame.time = simulationTime;
+    gpuFrame.followTarget = currentMouseWorld;
+    gpuFrame.cameraPosition = camera.position;
+    gpuFrame.cameraFacing = null;
+    if (camera.isOrthographicCamera) {
+        if (!gpuCameraFacing) gpuCameraFacing = new THREE.Vector3();
+        gpuFrame.cameraFacing = camera.getWorldDirection(gpuCameraFacing).negate();
+    }
+    gpuFrame.noise = getCurlNoise();
+    gpuSimulation.step(delta, settings, gpuFrame);
+
+    if (!gpuSimulation.isRunnable()) {
+        gpuSimulationSupport = { supported: false, reason: 'Simulation shader failed to compile' };
+        stopGPUSimulation(false);
+        updateSimulationBackend();
+        return false;
+    }
 
-        // Apply gravity
-        if (settings.gravityEnabled) {
-            particle.velocity.y -= settings.gravityStrength * delta;
+    const [position, velocity, spin, rotation] = gpuSimulation.getRenderTextures();
+    gpuParticleUniforms.gpuParticlePosition.value = position;
+    gpuParticleUniforms.gpuParticleVelocity.value = velocity;
+    gpuParticleUniforms.gpuParticleSpin.value = spin;
+    gpuParticleUniforms.gpuParticleRotation.value = rotation;
+    return true;
+}
+
+// Lay the pools out back to back in a new simulation and upload their particles
+function startGPUSimulation(pools) {
+    const capacity = pools.reduce((sum, pool) => sum + pool.maxCount, 0);
+    try {
+        gpuSimulation = new GPUParticleSimulation(renderer, Math.max(1, capacity));
+    } catch (error) {
+        console.warn('3D Trail: GPU simulation unavailable, using the CPU path -', error.message);
+        gpuSimulationSupport = { supported: false, reason: error.message };
+        gpuSimulation = null;
+        updateSimulationBackend();
+        return false;
+    }
+
+    let base = 0;
+    gpuSimulationLayout = pools.map((pool) => {
+        const entry = { pool, base, capacity: pool.maxCount };
+        pool.gpuSimulation = gpuSimulation;
+        pool.gpuSlotBase = base;
+        setPoolSlotBase(pool, base);
+        for (let index = pool.store.head; index !== -1; index = pool.store.next[index]) {
+            gpuSimulation.upload(base + index, pool.store, index);
         }
+        base += pool.maxCount;
+        return entry;
+    });
+
+    gpuParticleUniforms.gpuParticlesEnabled.value = 1;
+    return true;
+}
 
-        // Apply follow (attraction to mouse)
-        if (settings.followEnabled && currentMouseWorld) {
-            const direction = currentMouseWorld.clone().sub(particle.position);
-            const distance = direction.length();
-            if (distance > 0.1) {
-                direction.normalize();
-                particle.velocity.add(direction.multiplyScalar(settings.followStrength * delta * 10));
+// Hand the particles back to the CPU path; readBack copies the simulated motion into them
+function stopGPUSimulation(readBack = true) {
+    if (!gpuSimulation) return;
+
+    const hasParticles = gpuSimulationLayout.some(({ pool }) => pool.activeCount > 0);
+    const state = readBack && hasParticles ? gpuSimulation.readState() : null;
+    gpuSimulationLayout.forEach(({ pool, base }) => {
+        const store = pool.store;
+        for (let index = store.head; state && index !== -1; index = store.next[index]) {
+            const offset = (base + index) * 4;
+            for (let axis = 0; axis < 3; axis++) {
+                store.positions[index * 3 + axis] = state.position[offset + axis];
+                store.velocities[index * 3 + axis] = state.velocity[offset + axis];
+                store.spinOffsets[index * 3 + axis] = state.spin[offset + axis];
             }
         }
+        pool.gpuSimulation = null;
+    });
 
-        // Apply velocity damping (time-independent for consistent behavior at any frame rate)
-        particle.velocity.multiplyScalar(Math.pow(0.99, delta * 60));
+    gpuSimulation.dispose();
+    gpuSimulation = null;
+    gpuSimulationLayout = [];
+    gpuParticleUniforms.gpuParticlesEnabled.value = 0;
+}
 
-        // Update position
-        particle.position.add(particle.velocity.clone().multiplyScalar(delta * 60));
+// Per-vertex constant telling the pool's vertex shader where its slots start
+function setPoolSlotBase(pool, base) {
+    const geometry = pool.instancedMesh.geometry;
+    const vertexCount = geometry.attributes.position.count;
+    const attribute = geometry.getAttribute('gpuSlotBase');
 
-        // Apply bounce - ONLY when gravity is enabled (no floor without gravity)
-        if (settings.gravityEnabled && settings.bounceEnabled && particle.position.y <= settings.bounceHeight) {
-            particle.position.y = settings.bounceHeight;
-            particle.velocity.y = Math.abs(particle.velocity.y) * settings.bounceAmount;
+    if (attribute && attribute.count === vertexCount) {
+        if (attribute.array[0] === base) return;
+        attribute.array.fill(base);
+        attribute.needsUpdate = true;
+    } else {
+        geometry.setAttribute('gpuSlotBase', new THREE.BufferAttribute(new Float32Array(vertexCount).fill(base), 1));
+    }
+}
+
+// ========== FORCE FIELDS ==========
+// Placeable fields that accelerate particles: point attractors / repellers,
+// vortices spinning around an axis, directional wind and a turbulence volume.
+// Each has a strength and a radius of influence (0 = everywhere) with a
+// falloff toward the edge. Fields live in settings so presets carry them.
+const FORCE_FIELD_SCALE = 0.1;  // Velocity is per frame (see Update position), so keep strengths in a usable range
+const FORCE_FIELD_PICK_RADIUS = 16;  // Canvas pixels around a field marker that select it
+
+const FORCE_FIELD_DEFAULTS = {
+    attractor:  { strength: 1, radius: 5, falloff: 'linear', direction: [0, 0, 1] },
+    repeller:   { strength: 1, radius: 5, falloff: 'linear', direction: [0, 0, 1] },
+    vortex:     { strength: 1, radius: 5, falloff: 'smooth', direction: [0, 0, 1] },  // direction = spin axis
+    wind:       { strength: 0.5, radius: 0, falloff: 'none', direction: [1, 0, 0] },
+    turbulence: { strength: 1, radius: 5, falloff: 'smooth', direction: [0, 0, 1] }
+};
+
+const FORCE_FIELD_COLORS = {
+    attractor: 0x44aaff,
+    repeller: 0xff5544,
+    vortex: 0xaa66ff,
+    wind: 0x66dd88,
+    turbulence: 0xffaa33
+};
+
+// Add every field's pull at position to out (no allocations, runs per particle)
+function addForceFieldAcceleration(position, out) {
+    const fields = settings.forceFields;
+    for (let i = 0; i < fields.length; i++) {
+        const field = fields[i];
+        const dx = position.x - field.position[0];
+        const dy = position.y - field.position[1];
+        const dz = position.z - field.position[2];
+        const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        if (field.radius > 0 && distance > field.radius) continue;
+
+        const weight = field.strength * getForceFieldFalloff(field, distance);
+        if (weight === 0) continue;
+
+        const [ax, ay, az] = field.direction;
+        const axisLength = Math.sqrt(ax * ax + ay * ay + az * az) || 1;
+
+        switch (field.type) {
+            case 'attractor':
+            case 'repeller': {
+                if (distance < 0.1) break;
+                const sign = field.type === 'attractor' ? -1 : 1;
+                out.x += dx / distance * weight * sign;
+                out.y += dy / distance * weight * sign;
+                out.z += dz / distance * weight * sign;
+                break;
+            }
+            case 'vortex': {
+                // Tangent = axis x offset: circles the axis through the field position
+                const tx = (ay * dz - az * dy) / axisLength;
+                const ty = (az * dx - ax * dz) / axisLength;
+                const tz = (ax * dy - ay * dx) / axisLength;
+                const tangentLength = Math.sqrt(tx * tx + ty * ty + tz * tz);
+                if (tangentLength < 1e-6) break;
+                out.x += tx / tangentLength * weight;
+                out.y += ty / tangentLength * weight;
+                out.z += tz / tangentLength * weight;
+                break;
+            }
+            case 'wind':
+                out.x += ax / axisLength * weight;
+                out.y += ay / axisLength * weight;
+                out.z += az / axisLength * weight;
+                break;
+            case 'turbulence': {
+                // Layered sines drifting with simulation time, so exports repeat
+                const f = field.frequency ?? 1;
+                const t = simulationTime;
+                out.x += (Math.sin(position.y * f + t * 0.9) + Math.cos(position.z * f * 1.3 + t * 0.7)) * 0.5 * weight;
+                out.y += (Math.sin(position.z * f + t * 1.1) + Math.cos(position.x * f * 1.2 + t * 0.8)) * 0.5 * weight;
+                out.z += (Math.sin(position.x * f + t * 1.3) + Math.cos(position.y * f * 0.9 + t * 0.6)) * 0.5 * weight;
+                break;
+            }
         }
+    }
+}
+
+// 0-1 strength multiplier at distance from the field position
+function getForceFieldFalloff(field, distance) {
+    if (field.falloff === 'inverseSquare') return 1 / (1 + distance * distance);
+    if (field.radius <= 0) return 1;
+
+    const edge = 1 - distance / field.radius;
+    switch (field.falloff) {
+        case 'linear':
+            return edge;
+        case 'smooth':
+            return edge * edge * (3 - 2 * edge);
+        case 'none':
+        default:
+            return 1;
+    }
+}
+
+function addForceField(type, position) {
+    const defaults = FORCE_FIELD_DEFAULTS[type] || FORCE_FIELD_DEFAULTS.attractor;
+    settings.forceFields.push({
+        type: FORCE_FIELD_DEFAULTS[type] ? type : 'attractor',
+        position: position.toArray(),
+        direction: defaults.direction.slice(),
+        strength: defaults.strength,
+        radius: defaults.radius,
+        falloff: defaults.falloff,
+        frequency: 1
+    });
+    selectedForceField = settings.forceFields.length - 1;
+    forceFieldsChanged();
+}
+
+function removeForceField(index) {
+    if (!settings.forceFields[index]) return;
+    settings.forceFields.splice(index, 1);
+    if (selectedForceField === index) {
+        selectedForceField = -1;
+    } else if (selectedForceField > index) {
+        selectedForceField--;
+    }
+    forceFieldsChanged();
+}
 
-        // Calculate dynamic angular velocity from CURRENT settings (not spawn-time)
-        // This allows spin/tumble toggles to affect existing particles
-        let angularVelX = 0, angularVelY = 0, angularVelZ = 0;
+function updateForceField(index, changes) {
+    const field = settings.forceFields[index];
+    if (!field) return;
+    Object.assign(field, changes);
+    forceFieldsChanged();
+}
+
+function selectForceField(index) {
+    selectedForceField = settings.forceFields[index] ? index : -1;
+    forceFieldsChanged();
+}
+
+function setForceFieldEditMode(enabled) {
+    forceFieldEditMode = enabled;
+    forceFieldDrag = null;
+    endAllStrokes();
+    updateForceFieldGuides();
+}
+
+function forceFieldsChanged() {
+    updateForceFieldGuides();
+    updateSimulationBackend();
+    document.dispatchEvent(new CustomEvent('force-fields-changed'));
+}
+
+// Edit mode: press on a marker to select and drag it, elsewhere to place a new field
+function onForceFieldPointerDown(pointerId, x, y) {
+    const index = pickForceField(x, y);
+    if (index !== -1) {
+        selectForceField(index);
+    } else {
+        const point = getCanvasWorldPosition(x, y);
+        if (!point) return;
+        addForceField(settings.forceFieldNewType, point);
+    }
+    forceFieldDrag = { pointerId: pointerId, index: selectedForceField };
+}
+
+// Fields move across the drawing target, like the brush
+function dragForceField(x, y) {
+    const field = settings.forceFields[forceFieldDrag.index];
+    const point = getCanvasWorldPosition(x, y);
+    if (!field || !point) return;
+    field.position = point.toArray();
+    updateForceFieldGuides();
+}
+
+function endForceFieldDrag() {
+    forceFieldDrag = null;
+    document.dispatchEvent(new CustomEvent('force-fields-changed'));
+}
+
+// Index of the field whose marker is nearest canvas point (x, y), or -1
+function pickForceField(x, y) {
+    const projected = new THREE.Vector3();
+    let nearest = -1;
+    let nearestDistance = FORCE_FIELD_PICK_RADIUS;
+
+    settings.forceFields.forEach((field, index) => {
+        projected.fromArray(field.position).project(camera);
+        if (projected.z > 1) return;  // Behind the camera
+        const screenX = (projected.x + 1) / 2 * canvas.width;
+        const screenY = (1 - projected.y) / 2 * canvas.height;
+        const distance = Math.hypot(screenX - x, screenY - y);
+        if (distance < nearestDistance) {
+            nearest = index;
+            nearestDistance = distance;
+        }
+    });
+    return nearest;
+}
+
+// Rebuild the guides: a marker per field, its radius as a wireframe sphere
+// and an arrow for the wind direction / vortex axis
+function updateForceFieldGuides() {
+    if (!forceFieldGuides) return;
+
+    forceFieldGuides.traverse((child) => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+    });
+    forceFieldGuides.clear();
+    forceFieldGuides.visible = settings.showForceFields || forceFieldEditMode;
 
-        if (settings.tumbleEnabled) {
-            angularVelX = settings.tumbleSpeed * particle.randomTumbleFactor.x;
-            angularVelY = settings.tumbleSpeed * particle.randomTumbleFactor.y;
-            angularVelZ = settings.tumbleSpeed * particle.randomTumbleFactor.z;
-        }
+    settings.forceFields.forEach((field, index) => {
+        const color = FORCE_FIELD_COLORS[field.type] || 0xffffff;
+        const selected = index === selectedForceField;
+        const position = new THREE.Vector3().fromArray(field.position);
 
-        if (settings.spinEnabled) {
-            angularVelY += settings.spinSpeed;
+        const marker = new THREE.Mesh(
+            new THREE.SphereGeometry(selected ? 0.18 : 0.12, 16, 8),
+            new THREE.MeshBasicMaterial({ color: color, depthTest: false })
+        );
+        marker.position.copy(position);
+        marker.renderOrder = 1;
+        forceFieldGuides.add(marker);
+
+        if (field.radius > 0) {
+            const bounds = new THREE.Mesh(
+                new THREE.SphereGeometry(field.radius, 24, 12),
+                new THREE.MeshBasicMaterial({ color: color, wireframe: true, transparent: true, opacity: selected ? 0.3 : 0.12 })
+            );
+            bounds.position.copy(position);
+            forceFieldGuides.add(bounds);
         }
 
-        // When spin/tumble are enabled, accumulate offset
-        // When disabled, smoothly decay offset back to zero so particles return to base orientation
-        const spinTumbleActive = settings.spinEnabled || settings.tumbleEnabled;
-        if (spinTumbleActive) {
-            particle.spinOffset.x += angularVelX * delta;
-            particle.spinOffset.y += angularVelY * delta;
-            particle.spinOffset.z += angularVelZ * delta;
-        } else {
-            // Decay spinOffset back to zero when spin/tumble disabled
-            const decayRate = 3.0; // How fast to return to base orientation
-            particle.spinOffset.x *= Math.max(0, 1 - decayRate * delta);
-            particle.spinOffset.y *= Math.max(0, 1 - decayRate * delta);
-            particle.spinOffset.z *= Math.max(0, 1 - decayRate * delta);
-            // Snap to zero when close enough
-            if (Math.abs(particle.spinOffset.x) < 0.001) particle.spinOffset.x = 0;
-            if (Math.abs(particle.spinOffset.y) < 0.001) particle.spinOffset.y = 0;
-            if (Math.abs(particle.spinOffset.z) < 0.001) particle.spinOffset.z = 0;
-        }
-
-        // Update rotation based on CURRENT facing mode (not spawn-time)
-        // This allows facing mode changes to affect existing particles
-        switch (settings.facingMode) {
-            case 'fixed':
-                // Use current fixed angle settings + accumulated spin offset
-                particle.rotation.set(
-                    THREE.MathUtils.degToRad(settings.fixedAngleX) + particle.spinOffset.x,
-                    THREE.MathUtils.degToRad(settings.fixedAngleY) + particle.spinOffset.y,
-                    THREE.MathUtils.degToRad(settings.fixedAngleZ) + particle.spinOffset.z
-                );
-                break;
-            case 'random':
-            case 'mouse':
-            case 'none':
-                // Use stored base rotation + accumulated spin offset
-                particle.rotation.set(
-                    particle.baseRotation.x + particle.spinOffset.x,
-                    particle.baseRotation.y + particle.spinOffset.y,
-                    particle.baseRotation.z + particle.spinOffset.z
-                );
-                break;
-            case 'billboard':
-                // Billboard: calculate facing direction each frame + spin offset
-                const lookDir = cameraPosition.clone().sub(particle.position).normalize();
-                const rotY = Math.atan2(lookDir.x, lookDir.z);
-                const rotX = Math.atan2(-lookDir.y, Math.sqrt(lookDir.x * lookDir.x + lookDir.z * lookDir.z));
-                particle.rotation.set(
-                    rotX + particle.spinOffset.x,
-                    rotY + particle.spinOffset.y,
-                    particle.spinOffset.z
-                );
-                break;
+        if (field.type === 'wind' || field.type === 'vortex') {
+            const direction = new THREE.Vector3().fromArray(field.direction);
+            if (direction.lengthSq() > 0) {
+                forceFieldGuides.add(new THREE.ArrowHelper(direction.normalize(), position, 1.5, color, 0.4, 0.25));
+            }
         }
+    });
+}
 
-        // Look at Mouse Animation (independent of facingMode, stackable effect)
-        if (settings.lookAtMouseEnabled && currentMouseWorldPos) {
-            const toMouse = currentMouseWorldPos.clone().sub(particle.position);
-            const distance = toMouse.length();
-
-            if (distance > 0.01) {
-                // Calculate ideal rotation angles to face the mouse
-                // Yaw (Y-axis): horizontal rotation based on X/Z position
-                const idealYaw = Math.atan2(toMouse.x, toMouse.z);
-                // Pitch (X-axis): vertical rotation based on Y and horizontal distance
-                const horizontalDist = Math.sqrt(toMouse.x * toMouse.x + toMouse.z * toMouse.z);
-                const idealPitch = Math.atan2(-toMouse.y, horizontalDist);
-
-                // Get limits in radians
-                const maxLeft = THREE.MathUtils.degToRad(settings.lookAtMaxAngleLeft);
-                const maxRight = THREE.MathUtils.degToRad(settings.lookAtMaxAngleRight);
-                const maxUp = THREE.MathUtils.degToRad(settings.lookAtMaxAngleUp);
-                const maxDown = THREE.MathUtils.degToRad(settings.lookAtMaxAngleDown);
-
-                // Clamp yaw based on direction (positive = right, negative = left)
-                let targetRotY;
-                if (idealYaw >= 0) {
-                    targetRotY = Math.min(idealYaw, maxRight);
-                } else {
-                    targetRotY = Math.max(idealYaw, -maxLeft);
-                }
+// ========== COLLISIONS ==========
+// Rigid-body-lite: every particle is a sphere of equal mass. Overlaps are
+// pushed apart and the approaching part of the velocity is reflected; there is
+// no angular response. A spatial hash keeps the pair search near-linear.
+
+// Inward-facing planes through the left, right, bottom and top edges of the view.
+// Particles bounce off them in ParticleStore.update.
+function getViewBoundsPlanes() {
+    if (!viewFrustum) {
+        viewFrustum = new THREE.Frustum();
+        viewProjection = new THREE.Matrix4();
+    }
+    camera.updateMatrixWorld();
+    viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    return viewFrustum.setFromProjectionMatrix(viewProjection).planes.slice(0, 4);
+}
 
-                // Clamp pitch based on direction (positive = down, negative = up)
-                let targetRotX;
-                if (idealPitch >= 0) {
-                    targetRotX = Math.min(idealPitch, maxDown);
-                } else {
-                    targetRotX = Math.max(idealPitch, -maxUp);
-                }
+// Particles from every active pool collide with each other (see ParticleCollisions)
+function resolveParticleCollisions(delta) {
+    if (!particleCollisions) particleCollisions = new ParticleCollisions();
+    particleCollisions.resolve(getParticlePools().map(pool => pool.store), delta, settings);
+}
 
-                // Optional roll (tilt) - proportional to horizontal offset, clamped
-                const targetRotZ = THREE.MathUtils.clamp(toMouse.x * 0.2, -0.5, 0.5);
+// ========== GESTURE RECORDER ==========
+// Captures the pointer path as a serializable track and feeds it back through
+// the same stroke functions live input uses. Positions are stored normalized
+// (0-1) so a track replays correctly at any canvas size.
+// Version 2 adds pen tilt and twist; version 1 tracks replay with both at 0.
+// Version 3 adds the pointer id so multi-touch strokes replay separately;
+// older tracks replay as a single pointer.
+// Version 4 adds the brush depth; older tracks keep whatever depth is current.
+const GESTURE_TRACK_VERSION = 4;
+
+function startGestureRecording() {
+    if (gesturePlayback) stopGesturePlayback();
+    gestureRecording = {
+        startTime: performance.now(),
+        samples: []
+    };
+    console.log('3D Trail: Gesture recording started');
+}
 
-                // Smoothly interpolate toward target
-                const strength = settings.lookAtMouseStrength;
-                particle.rotation.x += (targetRotX - particle.rotation.x) * strength;
-                particle.rotation.y += (targetRotY - particle.rotation.y) * strength;
-                particle.rotation.z += (targetRotZ - particle.rotation.z) * strength;
-            }
-        }
+function stopGestureRecording() {
+    if (!gestureRecording) return null;
 
-        // Apply disappear mode with exit duration control
-        let currentScale = particle.initialScale;
-        const timeRemaining = particle.lifespan - particle.age;
-        const exitDuration = Math.min(settings.exitDuration, particle.lifespan);
+    const duration = (performance.now() - gestureRecording.startTime) / 1000;
+    gestureTrack = {
+        version: GESTURE_TRACK_VERSION,
+        duration: duration,
+        canvasWidth: canvas.width,
+        canvasHeight: canvas.height,
+        samples: gestureRecording.samples
+    };
+    gestureRecording = null;
 
-        switch (settings.disappearMode) {
-            case 'fade':
-            case 'shrink':
-                if (timeRemaining <= exitDuration) {
-                    const exitProgress = 1 - (timeRemaining / exitDuration);
-                    currentScale = particle.initialScale * (1 - exitProgress);
-                }
-                break;
-            case 'snap':
-                break;
-        }
+    console.log('3D Trail: Gesture recorded -', gestureTrack.samples.length, 'samples,', duration.toFixed(2) + 's');
+    return gestureTrack;
+}
 
-        particle.scale.set(currentScale, currentScale, currentScale);
+function recordGestureSample(type, id, buttons) {
+    if (!gestureRecording) return;
+
+    // Hover moves have no stroke and fall back to the shared pointer position
+    const stroke = strokes.get(id);
+    const position = stroke || currentMousePos;
+    const pen = stroke ? stroke.pen : penState;
+
+    gestureRecording.samples.push({
+        t: (performance.now() - gestureRecording.startTime) / 1000,
+        type: type,
+        id: id,
+        x: position.x / canvas.width,
+        y: position.y / canvas.height,
+        pressure: pen.pressure,
+        tiltX: pen.tiltX,
+        tiltY: pen.tiltY,
+        twist: pen.twist,
+        depth: drawDepth,
+        buttons: buttons
+    });
+}
 
-        // Update instance matrix
-        pool.updateInstance(index, particle.position, particle.rotation, particle.scale);
+function startGesturePlayback() {
+    if (!gestureTrack || gestureTrack.samples.length === 0) return false;
+    if (gestureRecording) stopGestureRecording();
+
+    // Start from an empty canvas so the replay matches the original stroke
+    clearCanvas();
+    endAllStrokes();
+    gesturePlayback = { time: 0, sampleIndex: 0 };
+    if (settings.cameraPathEnabled) startCameraPath();
+    console.log('3D Trail: Gesture playback started');
+    return true;
+}
 
-        return false; // Don't remove
-    }
+function stopGesturePlayback() {
+    if (!gesturePlayback) return;
+    gesturePlayback = null;
+    endAllStrokes();
+    document.dispatchEvent(new CustomEvent('gesture-playback-ended'));
+    console.log('3D Trail: Gesture playback stopped');
+}
 
-    // Update main particle pool
-    if (particlePool && particlePool.particles.size > 0) {
-        const particlesToRemove = [];
+// Advance playback by delta seconds, applying every sample that has come due
+function updateGesturePlayback(delta) {
+    if (!gesturePlayback || !gestureTrack) return;
 
-        particlePool.particles.forEach((particle, index) => {
-            if (updateSingleParticle(particle, index, particlePool)) {
-                particlesToRemove.push(index);
-            }
-        });
+    gesturePlayback.time += delta;
+    const samples = gestureTrack.samples;
 
-        particlesToRemove.forEach(index => particlePool.release(index));
-        particlePool.finishUpdate();
+    while (gesturePlayback.sampleIndex < samples.length &&
+           samples[gesturePlayback.sampleIndex].t <= gesturePlayback.time) {
+        applyGestureSample(samples[gesturePlayback.sampleIndex]);
+        gesturePlayback.sampleIndex++;
     }
 
-    // Update multi-gradient pools
-    if (useMultiGradientPools) {
-        gradientPools.forEach(({ pool }) => {
-            if (pool.particles.size === 0) return;
-
-            const particlesToRemove = [];
+    if (gesturePlayback.time >= gestureTrack.duration) {
+        if (settings.gestureLoop) {
+            endAllStrokes();
+            gesturePlayback.time = 0;
+            gesturePlayback.sampleIndex = 0;
+        } else {
+            stopGesturePlayback();
+        }
+    }
+}
 
-            pool.particles.forEach((particle, index) => {
-                if (updateSingleParticle(particle, index, pool)) {
-                    particlesToRemove.push(index);
-                }
-            });
+function applyGestureSample(sample) {
+    const size = getCanvasSize();
+    const x = sample.x * size.width;
+    const y = sample.y * size.height;
+
+    const id = sample.id ?? 0;
+    if (sample.depth !== undefined) applyDrawDepth(sample.depth);
+    const pen = {
+        pressure: sample.pressure ?? 0.5,
+        tiltX: sample.tiltX || 0,
+        tiltY: sample.tiltY || 0,
+        twist: sample.twist || 0
+    };
 
-            particlesToRemove.forEach(index => pool.release(index));
-            pool.finishUpdate();
-        });
+    switch (sample.type) {
+        case 'down':
+            beginStroke(id, x, y, pen);
+            break;
+        case 'move':
+            moveStroke(id, x, y, pen);
+            break;
+        case 'up':
+            endStroke(id);
+            break;
     }
+}
 
-    // Update lerp pools
-    if (useLerpPools) {
-        lerpPools.forEach(({ pool }) => {
-            if (pool.particles.size === 0) return;
-
-            const particlesToRemove = [];
+function saveGestureTrack(name) {
+    if (!gestureTrack) return;
 
-            pool.particles.forEach((particle, index) => {
-                if (updateSingleParticle(particle, index, pool)) {
-                    particlesToRemove.push(index);
-                }
-            });
+    const blob = new Blob([JSON.stringify(gestureTrack)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${name.replace(/[^a-z0-9]/gi, '_')}.gesture.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+}
 
-            particlesToRemove.forEach(index => pool.release(index));
-            pool.finishUpdate();
-        });
+function loadGestureTrack(track) {
+    if (!track || !Array.isArray(track.samples) || typeof track.duration !== 'number') {
+        throw new Error('Invalid gesture track format');
     }
+    if (gesturePlayback) stopGesturePlayback();
+    gestureTrack = track;
+    console.log('3D Trail: Gesture track loaded -', track.samples.length, 'samples');
+    return gestureTrack;
 }
 
 // ========== CUSTOM CURSOR SYSTEM ==========
@@ -1237,6 +2908,7 @@ function applyUploadedMatcap() {
 
     customMaterial = material;
     particlePool.instancedMesh.material = material;
+    syncModelPoolMaterials();
     console.log('3D Trail: Uploaded matcap applied');
 }
 
@@ -1261,9 +2933,28 @@ function applySolidColor() {
 
     customMaterial = material;
     particlePool.instancedMesh.material = material;
+    syncModelPoolMaterials();
     console.log('3D Trail: Solid color applied');
 }
 
+// Show the model's own materials (one per part for multi-mesh GLBs)
+function applyOriginalMaterial() {
+    if (!particlePool?.instancedMesh || !originalMaterial) return;
+
+    // Dispose old custom material if exists
+    if (customMaterial) {
+        if (customMaterial.matcap && customMaterial.matcap !== uploadedMatcapTexture) {
+            customMaterial.matcap.dispose();
+        }
+        customMaterial.dispose();
+        customMaterial = null;
+    }
+
+    particlePool.instancedMesh.material = originalMaterial;
+    syncModelPoolMaterials();
+    console.log('3D Trail: Model materials applied');
+}
+
 function clearUploadedMatcap() {
     if (uploadedMatcapTexture) {
         uploadedMatcapTexture.dispose();
@@ -1292,7 +2983,9 @@ function applyCurrentMaterial() {
     cleanupAgeFading();
 
     // Apply material based on type
-    if (settings.materialType === 'solid') {
+    if (settings.materialType === 'original') {
+        applyOriginalMaterial();
+    } else if (settings.materialType === 'solid') {
         applySolidColor();
     } else if (settings.materialType === 'matcapUpload' && uploadedMatcapTexture) {
         applyUploadedMatcap();
@@ -1314,6 +3007,8 @@ function applyCurrentMaterial() {
             }
         }
     }
+
+    syncModelPoolMaterials();
 }
 
 // ========== BACKGROUND SYSTEM ==========
@@ -1645,7 +3340,9 @@ function toggleMaterialMode(enabled) {
         }
 
         // Choose material based on materialType
-        if (settings.materialType === 'solid') {
+        if (settings.materialType === 'original') {
+            applyOriginalMaterial();
+        } else if (settings.materialType === 'solid') {
             applySolidColor();
             console.log('3D Trail: Solid color material applied');
         } else if (settings.materialType === 'matcapUpload' && uploadedMatcapTexture) {
@@ -1690,6 +3387,8 @@ function toggleMaterialMode(enabled) {
 
         console.log('3D Trail: Original material restored');
     }
+
+    syncModelPoolMaterials();
 }
 
 // ========== MULTI-GRADIENT MANAGEMENT ==========
@@ -1782,7 +3481,7 @@ function initMultiGradientPools() {
         const material = createMaterialForGradient(index);
         if (!material) return;
 
-        const pool = new ParticlePool(Math.ceil(1000 / settings.gradientSets.length));
+        const pool = new ParticlePool(getPoolCapacity(settings.gradientSets.length));
         const mesh = pool.init(loadedGeometry, material);
         scene.add(mesh);
 
@@ -1977,6 +3676,20 @@ function smoothstep(edge0, edge1, x) {
     return t * t * (3 - 2 * t);
 }
 
+// Uniform Catmull-Rom spline through p1 (t = 0) and p2 (t = 1)
+function catmullRom(p0, p1, p2, p3, t) {
+    const v0 = (p2 - p0) * 0.5;
+    const v1 = (p3 - p1) * 0.5;
+    const t2 = t * t;
+    const t3 = t * t2;
+    return (2 * p1 - 2 * p2 + v0 + v1) * t3 + (-3 * p1 + 3 * p2 - 2 * v0 - v1) * t2 + v0 * t + p1;
+}
+
+// Camera transition easing (t in 0-1)
+function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
 function applyGradientSet(index) {
     if (index >= settings.gradientSets.length) return;
 
@@ -2078,7 +3791,7 @@ function initLerpPools() {
     console.log('3D Trail: Lerp sequence length:', sequence.length);
 
     // Create a pool for each step in the sequence
-    const poolSize = Math.ceil(1000 / sequence.length);
+    const poolSize = getPoolCapacity(sequence.length);
     const isFlat = settings.shaderMode === 'flat';
 
     sequence.forEach((gradientData, index) => {
@@ -2283,13 +3996,10 @@ function createAgeFadingMaterial() {
 function initAgeFading() {
     if (!loadedGeometry || !particlePool?.instancedMesh || settings.gradientSets.length < 2) return;
 
-    // Create age attribute buffer
-    const maxCount = particlePool.maxCount;
-    ageFadingAgeBuffer = new Float32Array(maxCount);
-
-    // Add instance age attribute to geometry
-    const geometry = particlePool.instancedMesh.geometry;
-    geometry.setAttribute('instanceAge', new THREE.InstancedBufferAttribute(ageFadingAgeBuffer, 1));
+    // Add instance age attribute to the main pool and every library model pool
+    addAgeFadingAttribute(particlePool);
+    modelPools.forEach(({ pool }) => addAgeFadingAttribute(pool));
+    ageFadingAgeBuffer = particlePool.instancedMesh.geometry.getAttribute('instanceAge').array;
 
     // Create and apply the age fading material
     ageFadingMaterial = createAgeFadingMaterial();
@@ -2300,21 +4010,29 @@ function initAgeFading() {
     }
 }
 
+// Create age attribute buffer on a pool's geometry
+function addAgeFadingAttribute(pool) {
+    const buffer = new Float32Array(pool.maxCount);
+    pool.instancedMesh.geometry.setAttribute('instanceAge', new THREE.InstancedBufferAttribute(buffer, 1));
+}
+
 // Update age ratios for all particles
 function updateAgeFadingAgeRatios() {
     if (!useAgeFading || !ageFadingAgeBuffer || !particlePool?.instancedMesh) return;
 
-    particlePool.particles.forEach((particle, index) => {
-        const ageRatio = Math.min(1, particle.age / particle.lifespan);
-        ageFadingAgeBuffer[index] = ageRatio;
-    });
+    [particlePool, ...modelPools.map(entry => entry.pool)].forEach((pool) => {
+        const ageAttr = pool.instancedMesh.geometry.getAttribute('instanceAge');
+        if (!ageAttr) return;
+
+        const { ages, lifespans, next } = pool.store;
+        for (let index = pool.store.head; index !== -1; index = next[index]) {
+            const lifeRatio = Math.min(1, ages[index] / lifespans[index]);
+            ageAttr.array[index] = THREE.MathUtils.clamp(getLifetimeValue('colorMix', lifeRatio, lifeRatio), 0, 1);
+        }
 
-    // Mark attribute for update
-    const geometry = particlePool.instancedMesh.geometry;
-    const ageAttr = geometry.getAttribute('instanceAge');
-    if (ageAttr) {
+        // Mark attribute for update
         ageAttr.needsUpdate = true;
-    }
+    });
 }
 
 // Clean up age fading system
@@ -2333,13 +4051,45 @@ function cleanupAgeFading() {
 function animate() {
     requestAnimationFrame(animate);
 
+    // Offline sequence export steps the simulation itself at a fixed timestep
+    if (isOfflineRendering) return;
+
     const delta = clock.getDelta();
 
+    // Camera moves run on wall-clock time, outside the simulation
+    updateCameraTransition(delta);
+    if (orbitControls && orbitControls.enabled) orbitControls.update();
+
+    stepSimulation(delta);
+
+    // Render
+    renderer.render(scene, camera);
+}
+
+// Advance everything time-dependent by delta seconds (no rendering)
+function stepSimulation(delta) {
+    simulationTime += delta;
+
     // Update multi-gradient (for time mode - smooth lerping)
     updateMultiGradient(delta);
 
+    // Move the camera along its keyframed path
+    updateCameraPath(delta);
+
+    // Feed recorded gesture samples back in as pointer input
+    updateGesturePlayback(delta);
+
+    // Held Shift / Alt push the brush along the view ray
+    updateDepthControl(delta);
+
+    // Advance baked GLB clips
+    updateVertexAnimation(delta);
+
+    // Patch newly assigned pool materials and toggle blending for the exit style
+    syncInstanceMaterials();
+
     // Try spawning particles
-    trySpawnParticle(performance.now());
+    trySpawnParticle(delta);
 
     // Update all particles
     updateParticles(delta);
@@ -2348,12 +4098,18 @@ function animate() {
     if (useAgeFading) {
         updateAgeFadingAgeRatios();
     }
-
-    // Render
-    renderer.render(scene, camera);
 }
 
 // ========== HIGH-RES EXPORT ==========
+// Hide the editing guides (sphere target wireframe, force-field markers) so
+// they stay out of exports. Returns a function that restores them.
+function hideEditingGuides() {
+    const guides = [drawSphereGuide, forceFieldGuides].filter(Boolean);
+    const visible = guides.map(guide => guide.visible);
+    guides.forEach((guide) => { guide.visible = false; });
+    return () => guides.forEach((guide, i) => { guide.visible = visible[i]; });
+}
+
 window.renderHighResolution = function(targetCanvas, scale) {
     if (!renderer || !scene || !camera) {
         console.warn('3D Trail: Not ready for high-res export');
@@ -2367,11 +4123,12 @@ window.renderHighResolution = function(targetCanvas, scale) {
 
     // Resize renderer
     renderer.setSize(newWidth, newHeight);
-    camera.aspect = newWidth / newHeight;
-    camera.updateProjectionMatrix();
+    setCameraAspect(newWidth, newHeight);
 
-    // Render at high resolution
+    // Render at high resolution (without editing guides)
+    const restoreGuides = hideEditingGuides();
     renderer.render(scene, camera);
+    restoreGuides();
 
     // Copy to target canvas
     const ctx = targetCanvas.getContext('2d');
@@ -2381,33 +4138,267 @@ window.renderHighResolution = function(targetCanvas, scale) {
 
     // Restore original size
     renderer.setSize(originalWidth, originalHeight);
-    camera.aspect = originalWidth / originalHeight;
-    camera.updateProjectionMatrix();
+    setCameraAspect(originalWidth, originalHeight);
 
     console.log(`High-res export completed at ${scale}x resolution`);
 };
 
+// ========== SEQUENCE EXPORT ==========
+// Renders the animated trail offline: the simulation advances by exactly
+// 1 / fps per frame regardless of how long each frame takes to encode.
+async function renderSequence(onProgress = null) {
+    if (!renderer || !scene || !camera || isOfflineRendering) return;
+
+    const fps = settings.exportFps;
+    const frameCount = Math.max(1, Math.round(settings.exportDuration * fps));
+    const frameDelta = 1 / fps;
+    const width = Math.round(canvas.width * settings.exportScale);
+    const height = Math.round(canvas.height * settings.exportScale);
+
+    isOfflineRendering = true;
+    endAllStrokes();
+
+    // Editing guides stay out of the exported frames
+    const restoreGuides = hideEditingGuides();
+
+    // Fly the camera path from its first keyframe, restoring the live view afterwards.
+    // Saved first: gesture playback starts the path and jumps to keyframe 0.
+    const liveCamera = {
+        position: camera.position.clone(),
+        target: cameraTarget.clone(),
+        fov: settings.cameraFOV,
+        zoom: settings.cameraZoom
+    };
+
+    // Replay the recorded gesture from its first sample (which starts the path too)
+    const replaying = settings.exportReplayGesture && gestureTrack && startGesturePlayback();
+    if (settings.cameraPathEnabled && !replaying) startCameraPath();
+
+    // Render at the exact export size (pixel ratio 1 so frames are width x height).
+    // The renderer resizes the canvas, so strokes keep the live size to draw in.
+    const liveSize = renderer.getSize(new THREE.Vector2());
+    const livePixelRatio = renderer.getPixelRatio();
+    offlineCanvasSize = { width: canvas.width, height: canvas.height };
+    renderer.setPixelRatio(1);
+    renderer.setSize(width, height, false);
+    setCameraAspect(width, height);
+
+    console.log(`3D Trail: Rendering ${frameCount} frames at ${fps}fps (${width}x${height}, ${settings.exportFormat})`);
+
+    try {
+        if (settings.exportFormat === 'webm') {
+            await renderSequenceToWebM(frameCount, frameDelta, fps, onProgress);
+        } else {
+            await renderSequenceToZip(frameCount, frameDelta, onProgress);
+        }
+    } finally {
+        if (gesturePlayback) stopGesturePlayback();
+        restoreGuides();
+        if (settings.cameraPathEnabled) {
+            stopCameraPath();
+            applyCameraState(liveCamera);
+        }
+
+        renderer.setPixelRatio(livePixelRatio);
+        renderer.setSize(liveSize.x, liveSize.y, false);
+        setCameraAspect(offlineCanvasSize.width, offlineCanvasSize.height);
+        offlineCanvasSize = null;
+
+        // Discard the wall time spent rendering so the live loop doesn't jump
+        clock.getDelta();
+        isOfflineRendering = false;
+    }
+}
+
+async function renderSequenceToZip(frameCount, frameDelta, onProgress) {
+    if (!window.ZipWriter) {
+        throw new Error('ZipWriter not available');
+    }
+
+    const zip = new ZipWriter();
+    const digits = String(frameCount).length + 1;
+
+    for (let i = 0; i < frameCount; i++) {
+        stepSimulation(frameDelta);
+        renderer.render(scene, camera);
+
+        const blob = await canvasToBlob(renderer.domElement);
+        const data = new Uint8Array(await blob.arrayBuffer());
+        zip.addFile(`frame_${String(i).padStart(digits, '0')}.png`, data);
+
+        if (onProgress) onProgress(i + 1, frameCount);
+    }
+
+    downloadBlob(zip.generate(), '3d-trail-sequence.zip');
+}
+
+async function renderSequenceToWebM(frameCount, frameDelta, fps, onProgress) {
+    if (!window.VideoEncoder || !window.VideoFrame) {
+        throw new Error('Video encoding (WebCodecs) is not supported in this browser');
+    }
+    if (!window.WebMWriter) {
+        throw new Error('WebMWriter not available');
+    }
+
+    const { width, height } = renderer.domElement;
+    const config = await getWebMEncoderConfig(width, height, fps);
+    if (!config) {
+        throw new Error('WebM encoding is not supported in this browser');
+    }
+
+    const writer = new WebMWriter({
+        codec: config.codec === 'vp8' ? 'V_VP8' : 'V_VP9',
+        width: width,
+        height: height,
+        alpha: config.alpha === 'keep'
+    });
+    let encodeError = null;
+    const encoder = new VideoEncoder({
+        output: (chunk, metadata) => {
+            const data = new Uint8Array(chunk.byteLength);
+            chunk.copyTo(data);
+            const alphaData = metadata?.alphaSideData ? new Uint8Array(metadata.alphaSideData) : null;
+            writer.addFrame(data, chunk.timestamp / 1000, chunk.type === 'key', alphaData);
+        },
+        error: (error) => { encodeError = error; }
+    });
+    encoder.configure(config);
+
+    // Each frame is stamped with its place in the sequence, so the video plays
+    // at fps however long the frames took to render and encode
+    const frameDuration = 1e6 / fps;  // Microseconds
+    const keyFrameInterval = fps * 2;
+    for (let i = 0; i < frameCount && !encodeError; i++) {
+        stepSimulation(frameDelta);
+        renderer.render(scene, camera);
+
+        const frame = new VideoFrame(renderer.domElement, {
+            timestamp: Math.round(i * frameDuration),
+            duration: Math.round(frameDuration),
+            alpha: 'keep'
+        });
+        encoder.encode(frame, { keyFrame: i % keyFrameInterval === 0 });
+        frame.close();
+
+        if (onProgress) onProgress(i + 1, frameCount);
+
+        // Let the encoder catch up instead of queueing every frame in memory
+        while (encoder.encodeQueueSize > 2 && !encodeError) await wait(1);
+    }
+
+    if (!encodeError) await encoder.flush().catch((error) => { encodeError = error; });
+    if (encoder.state !== 'closed') encoder.close();
+    if (encodeError) throw encodeError;
+
+    downloadBlob(writer.generate(frameCount * 1000 / fps), '3d-trail-sequence.webm');
+}
+
+// First encoder config the browser supports: VP9 before VP8, keeping the alpha
+// channel (transparent background) where the encoder can
+async function getWebMEncoderConfig(width, height, fps) {
+    for (const codec of ['vp09.00.10.08', 'vp8']) {
+        for (const alpha of ['keep', 'discard']) {
+            const config = { codec, width, height, alpha, framerate: fps, bitrate: 40000000 };
+            const support = await VideoEncoder.isConfigSupported(config).catch(() => null);
+            if (support?.supported) return config;
+        }
+    }
+    return null;
+}
+
+function canvasToBlob(sourceCanvas) {
+    return new Promise((resolve, reject) => {
+        sourceCanvas.toBlob((blob) => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('Failed to encode frame'));
+            }
+        }, 'image/png');
+    });
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
 // ========== CAMERA CONTROLS ==========
+// The camera always looks at cameraTarget. Position sliders pan (target moves
+// with the camera), orbit mode rotates around the target, and presets and
+// bookmarks ease between states along an arc around the target.
+
+// Moves the camera and its target together, keeping the view direction
 function setCameraPosition(x, y, z) {
     if (camera) {
+        const previous = camera.position.clone();
         if (x !== undefined) camera.position.x = x;
         if (y !== undefined) camera.position.y = y;
         if (z !== undefined) camera.position.z = z;
-        settings.cameraX = camera.position.x;
-        settings.cameraY = camera.position.y;
-        settings.cameraZ = camera.position.z;
+        cameraTarget.add(camera.position.clone().sub(previous));
+        camera.lookAt(cameraTarget);
+        syncCameraSettings();
     }
 }
 
 function setCameraFOV(fov) {
-    if (camera) {
-        camera.fov = fov;
-        camera.updateProjectionMatrix();
+    if (perspectiveCamera) {
+        perspectiveCamera.fov = fov;
+        perspectiveCamera.updateProjectionMatrix();
         settings.cameraFOV = fov;
     }
 }
 
-function setCameraPreset(view) {
+function setCameraZoom(zoom) {
+    if (orthographicCamera) {
+        orthographicCamera.zoom = zoom;
+        orthographicCamera.updateProjectionMatrix();
+        settings.cameraZoom = zoom;
+    }
+}
+
+// Frustum height of the orthographic camera at zoom 1: matches what the default
+// perspective view (FOV 65, 10 units away) shows of the drawing plane
+const ORTHOGRAPHIC_VIEW_HEIGHT = 2 * 10 * Math.tan(65 / 2 * Math.PI / 180);
+
+// Both cameras follow the canvas so switching projection never leaves a stale aspect
+function setCameraAspect(width, height) {
+    const aspect = width / height;
+    perspectiveCamera.aspect = aspect;
+    perspectiveCamera.updateProjectionMatrix();
+
+    const halfHeight = ORTHOGRAPHIC_VIEW_HEIGHT / 2;
+    orthographicCamera.left = -halfHeight * aspect;
+    orthographicCamera.right = halfHeight * aspect;
+    orthographicCamera.top = halfHeight;
+    orthographicCamera.bottom = -halfHeight;
+    orthographicCamera.updateProjectionMatrix();
+}
+
+// Swap the active camera, keeping its position and orientation
+function setCameraProjection(projection) {
+    if (!camera) return;
+    settings.cameraProjection = projection;
+    const next = projection === 'orthographic' ? orthographicCamera : perspectiveCamera;
+    if (next === camera) return;
+
+    next.position.copy(camera.position);
+    next.quaternion.copy(camera.quaternion);
+    next.updateMatrixWorld();
+    camera = next;
+    if (orbitControls) orbitControls.object = camera;
+    syncCameraSettings();
+}
+
+function setCameraPreset(view, animated = true) {
     const distance = 10;
     const presets = {
         front:  { x: 0, y: 0, z: distance },
@@ -2415,20 +4406,319 @@ function setCameraPreset(view) {
         top:    { x: 0, y: distance, z: 0.001 },
         bottom: { x: 0, y: -distance, z: 0.001 },
         left:   { x: -distance, y: 0, z: 0.001 },
-        right:  { x: distance, y: 0, z: 0.001 }
+        right:  { x: distance, y: 0, z: 0.001 },
+        isometric: { x: distance / Math.sqrt(3), y: distance / Math.sqrt(3), z: distance / Math.sqrt(3) }
     };
 
     const preset = presets[view];
     if (preset && camera) {
-        camera.position.set(preset.x, preset.y, preset.z);
-        camera.lookAt(0, 0, 0);
-        settings.cameraX = preset.x;
-        settings.cameraY = preset.y;
-        settings.cameraZ = preset.z;
+        const state = {
+            position: new THREE.Vector3(preset.x, preset.y, preset.z),
+            target: new THREE.Vector3(0, 0, 0),
+            fov: settings.cameraFOV,
+            zoom: settings.cameraZoom
+        };
+        if (animated) {
+            animateCameraTo(state);
+        } else {
+            applyCameraState(state);
+        }
         console.log('3D Trail: Camera preset', view);
     }
 }
 
+function applyCameraState(state) {
+    cameraTransition = null;
+    camera.position.copy(state.position);
+    cameraTarget.copy(state.target);
+    camera.lookAt(cameraTarget);
+    setCameraFOV(state.fov);
+    if (state.zoom !== undefined) setCameraZoom(state.zoom);
+    syncCameraSettings();
+}
+
+// Apply the camera stored in settings (preset load)
+function applyCameraSettings() {
+    if (!camera) return;
+    setCameraProjection(settings.cameraProjection);
+    applyCameraState({
+        position: new THREE.Vector3(settings.cameraX, settings.cameraY, settings.cameraZ),
+        target: new THREE.Vector3(settings.cameraTargetX, settings.cameraTargetY, settings.cameraTargetZ),
+        fov: settings.cameraFOV,
+        zoom: settings.cameraZoom
+    });
+}
+
+function syncCameraSettings() {
+    settings.cameraX = camera.position.x;
+    settings.cameraY = camera.position.y;
+    settings.cameraZ = camera.position.z;
+    settings.cameraTargetX = cameraTarget.x;
+    settings.cameraTargetY = cameraTarget.y;
+    settings.cameraTargetZ = cameraTarget.z;
+    settings.cameraZoom = orthographicCamera.zoom;  // Orbit dolly zooms the orthographic camera
+    document.dispatchEvent(new CustomEvent('camera-changed'));
+}
+
+// Ease toward a camera state: the target and FOV interpolate directly, the
+// camera swings around the target on a sphere so opposite views do not pass
+// through the scene
+function animateCameraTo(state) {
+    if (!camera) return;
+    if (settings.cameraTransitionDuration <= 0) {
+        applyCameraState(state);
+        return;
+    }
+
+    const from = new THREE.Spherical().setFromVector3(camera.position.clone().sub(cameraTarget));
+    const to = new THREE.Spherical().setFromVector3(state.position.clone().sub(state.target));
+
+    // Take the short way around
+    let deltaTheta = to.theta - from.theta;
+    if (deltaTheta > Math.PI) deltaTheta -= Math.PI * 2;
+    if (deltaTheta < -Math.PI) deltaTheta += Math.PI * 2;
+    to.theta = from.theta + deltaTheta;
+
+    cameraTransition = {
+        from: from,
+        to: to,
+        fromTarget: cameraTarget.clone(),
+        toTarget: state.target.clone(),
+        fromFov: settings.cameraFOV,
+        toFov: state.fov,
+        fromZoom: settings.cameraZoom,
+        toZoom: state.zoom ?? settings.cameraZoom,
+        elapsed: 0
+    };
+}
+
+function updateCameraTransition(delta) {
+    if (!cameraTransition) return;
+    const transition = cameraTransition;
+    transition.elapsed += delta;
+
+    const progress = Math.min(1, transition.elapsed / settings.cameraTransitionDuration);
+    const t = easeInOutCubic(progress);
+    const spherical = new THREE.Spherical(
+        THREE.MathUtils.lerp(transition.from.radius, transition.to.radius, t),
+        THREE.MathUtils.lerp(transition.from.phi, transition.to.phi, t),
+        THREE.MathUtils.lerp(transition.from.theta, transition.to.theta, t)
+    );
+
+    cameraTarget.lerpVectors(transition.fromTarget, transition.toTarget, t);
+    camera.position.setFromSpherical(spherical).add(cameraTarget);
+    camera.lookAt(cameraTarget);
+    setCameraFOV(THREE.MathUtils.lerp(transition.fromFov, transition.toFov, t));
+    setCameraZoom(THREE.MathUtils.lerp(transition.fromZoom, transition.toZoom, t));
+    syncCameraSettings();
+
+    if (progress >= 1) cameraTransition = null;
+}
+
+// ========== ORBIT CONTROLS ==========
+// Drag to orbit, right-drag / two fingers to pan, wheel / pinch to dolly.
+// While orbit mode is on, pointer input steers the camera instead of drawing.
+function initOrbitControls() {
+    if (!window.OrbitControls) {
+        console.warn('3D Trail: OrbitControls not available, orbit mode disabled');
+        return;
+    }
+    orbitControls = new window.OrbitControls(camera, canvas);
+    orbitControls.target = cameraTarget;
+    orbitControls.addEventListener('start', () => {
+        // Grabbing the camera cancels an eased transition or path playback
+        cameraTransition = null;
+        stopCameraPath();
+    });
+    orbitControls.addEventListener('change', syncCameraSettings);
+    applyOrbitSettings();
+}
+
+function applyOrbitSettings() {
+    if (!orbitControls) return;
+    orbitControls.enabled = settings.orbitEnabled;
+    orbitControls.enableDamping = settings.orbitDamping > 0;
+    orbitControls.dampingFactor = settings.orbitDamping;
+    if (settings.orbitEnabled) {
+        // Drop any stroke in progress so it does not resume when orbit is switched off
+        endAllStrokes();
+    }
+}
+
+// ========== CAMERA BOOKMARKS ==========
+// Stored in settings so they are saved with presets
+function addCameraBookmark(name) {
+    settings.cameraBookmarks.push({
+        name: name || `View ${settings.cameraBookmarks.length + 1}`,
+        position: camera.position.toArray(),
+        target: cameraTarget.toArray(),
+        fov: settings.cameraFOV,
+        zoom: settings.cameraZoom
+    });
+    document.dispatchEvent(new CustomEvent('camera-bookmarks-changed'));
+}
+
+function removeCameraBookmark(index) {
+    settings.cameraBookmarks.splice(index, 1);
+    document.dispatchEvent(new CustomEvent('camera-bookmarks-changed'));
+}
+
+function goToCameraBookmark(index) {
+    const bookmark = settings.cameraBookmarks[index];
+    if (!bookmark) return;
+    animateCameraTo({
+        position: new THREE.Vector3().fromArray(bookmark.position),
+        target: new THREE.Vector3().fromArray(bookmark.target),
+        fov: bookmark.fov,
+        zoom: bookmark.zoom
+    });
+}
+
+// ========== CAMERA PATH ==========
+// Keyframed camera move for playback and export. The target and FOV are
+// interpolated directly; the camera's offset from the target is interpolated
+// in spherical coordinates so keyframes on either side of the trail orbit
+// around it instead of cutting through it. The path advances with the
+// simulation, so exported frames follow it exactly.
+const CAMERA_PATH_KEY_SPACING = 2;  // Seconds after the last keyframe for a newly added one
+
+function addCameraPathKeyframe(time) {
+    const keyframes = settings.cameraPathKeyframes;
+    if (time === undefined) {
+        time = keyframes.length > 0 ? getCameraPathDuration() + CAMERA_PATH_KEY_SPACING : 0;
+    }
+    keyframes.push({
+        time: Math.max(0, time),
+        position: camera.position.toArray(),
+        target: cameraTarget.toArray(),
+        fov: settings.cameraFOV,
+        zoom: settings.cameraZoom
+    });
+    keyframes.sort((a, b) => a.time - b.time);
+    document.dispatchEvent(new CustomEvent('camera-path-changed'));
+}
+
+function setCameraPathKeyframeTime(index, time) {
+    const keyframe = settings.cameraPathKeyframes[index];
+    if (!keyframe || !Number.isFinite(time)) return;
+    keyframe.time = Math.max(0, time);
+    settings.cameraPathKeyframes.sort((a, b) => a.time - b.time);
+    document.dispatchEvent(new CustomEvent('camera-path-changed'));
+}
+
+function removeCameraPathKeyframe(index) {
+    settings.cameraPathKeyframes.splice(index, 1);
+    document.dispatchEvent(new CustomEvent('camera-path-changed'));
+}
+
+function goToCameraPathKeyframe(index) {
+    const keyframe = settings.cameraPathKeyframes[index];
+    if (!keyframe) return;
+    stopCameraPath();
+    animateCameraTo({
+        position: new THREE.Vector3().fromArray(keyframe.position),
+        target: new THREE.Vector3().fromArray(keyframe.target),
+        fov: keyframe.fov,
+        zoom: keyframe.zoom
+    });
+}
+
+function getCameraPathDuration() {
+    const keyframes = settings.cameraPathKeyframes;
+    return keyframes.length > 0 ? keyframes[keyframes.length - 1].time : 0;
+}
+
+// Camera state on the path at time (seconds), or null when there are no keyframes.
+// Times before the first / after the last keyframe hold the end views.
+function getCameraPathState(time) {
+    const keyframes = settings.cameraPathKeyframes;
+    if (keyframes.length === 0) return null;
+
+    // Offsets from the target, theta unwrapped so each segment takes the short way around
+    const sphericals = keyframes.map(keyframe => new THREE.Spherical().setFromVector3(
+        new THREE.Vector3().fromArray(keyframe.position).sub(new THREE.Vector3().fromArray(keyframe.target))
+    ));
+    for (let i = 1; i < sphericals.length; i++) {
+        let deltaTheta = sphericals[i].theta - sphericals[i - 1].theta;
+        if (deltaTheta > Math.PI) deltaTheta -= Math.PI * 2;
+        if (deltaTheta < -Math.PI) deltaTheta += Math.PI * 2;
+        sphericals[i].theta = sphericals[i - 1].theta + deltaTheta;
+    }
+
+    // Segment a -> b containing time, plus neighbours for the spline
+    const last = keyframes.length - 1;
+    let a = 0;
+    while (a < last - 1 && time > keyframes[a + 1].time) a++;
+    const b = Math.min(a + 1, last);
+    const before = Math.max(a - 1, 0);
+    const after = Math.min(b + 1, last);
+    const span = keyframes[b].time - keyframes[a].time;
+    const t = span > 0 ? THREE.MathUtils.clamp((time - keyframes[a].time) / span, 0, 1) : 1;
+
+    const interpolate = (value) => settings.cameraPathSmooth
+        ? catmullRom(value(before), value(a), value(b), value(after), t)
+        : THREE.MathUtils.lerp(value(a), value(b), t);
+
+    const target = new THREE.Vector3(
+        interpolate(i => keyframes[i].target[0]),
+        interpolate(i => keyframes[i].target[1]),
+        interpolate(i => keyframes[i].target[2])
+    );
+    const spherical = new THREE.Spherical(
+        Math.max(0.001, interpolate(i => sphericals[i].radius)),
+        interpolate(i => sphericals[i].phi),
+        interpolate(i => sphericals[i].theta)
+    ).makeSafe();
+
+    return {
+        position: new THREE.Vector3().setFromSpherical(spherical).add(target),
+        target: target,
+        fov: interpolate(i => keyframes[i].fov),
+        zoom: interpolate(i => keyframes[i].zoom ?? 1)
+    };
+}
+
+function startCameraPath() {
+    if (settings.cameraPathKeyframes.length === 0) return false;
+    cameraPathPlayback = { time: 0 };
+    applyCameraPathTime(0);
+    document.dispatchEvent(new CustomEvent('camera-path-playback-changed'));
+    console.log('3D Trail: Camera path playback started');
+    return true;
+}
+
+function stopCameraPath() {
+    if (!cameraPathPlayback) return;
+    cameraPathPlayback = null;
+    document.dispatchEvent(new CustomEvent('camera-path-playback-changed'));
+    console.log('3D Trail: Camera path playback stopped');
+}
+
+function updateCameraPath(delta) {
+    if (!cameraPathPlayback) return;
+    cameraPathPlayback.time += delta;
+
+    const duration = getCameraPathDuration();
+    if (cameraPathPlayback.time >= duration) {
+        if (settings.cameraPathLoop && duration > 0) {
+            cameraPathPlayback.time %= duration;
+        } else {
+            applyCameraPathTime(duration);
+            stopCameraPath();
+            return;
+        }
+    }
+    applyCameraPathTime(cameraPathPlayback.time);
+}
+
+function applyCameraPathTime(time) {
+    const state = getCameraPathState(time);
+    if (!state) return;
+    applyCameraState(state);
+    // Particles spawned later in this step raycast from the new view
+    camera.updateMatrixWorld();
+}
+
 // ========== CLEAR CANVAS ==========
 function clearCanvas() {
     // Clear main particle pool
@@ -2453,6 +4743,22 @@ function clearCanvas() {
         });
     }
 
+    // Clear library model pools
+    modelPools.forEach(({ pool }) => {
+        pool.clear();
+        pool.finishUpdate();
+    });
+
+    // Nothing left to hand back; the next step starts a fresh GPU simulation
+    stopGPUSimulation(false);
+
+    // Restart randomness and simulated time so the next trail is reproducible
+    seedRandom(settings.randomSeed);
+    simulationTime = 0;
+    animationTime = 0;
+    lerpIndex = 0;
+    modelSequenceIndex = 0;
+
     // Render the empty scene
     if (renderer && scene && camera) {
         renderer.render(scene, camera);
@@ -2474,7 +4780,22 @@ window.trailTool = {
     settings: settings,
     loadGLBModel: loadGLBModel,
     clearModel: clearModel,
+    // Model library functions
+    addModelToLibrary: addModelToLibrary,
+    removeModelFromLibrary: removeModelFromLibrary,
+    getModelLibrary: () => modelLibrary.map(model => ({
+        name: model.name,
+        clips: model.animation ? model.animation.clips.map(clip => clip.name) : []
+    })),
+    updateModelAnimation: rebuildVertexAnimation,
+    applyParticleCapacity: applyParticleCapacity,
+    getParticleStats: getParticleStats,
+    getSimulationBackend: getSimulationBackend,
+    updateSimulationBackend: updateSimulationBackend,
+    getPenState: () => ({ ...penState }),
+    getSpacingUnitScale: getSpacingUnitScale,
     isModelLoaded: () => isModelLoaded,
+    clearCanvas: clearCanvas,
     updateMaterial: updateMaterial,
     toggleMaterialMode: toggleMaterialMode,
     getMatcapPreview: () => matcapGenerator?.getPreviewCanvas(),
@@ -2485,7 +4806,35 @@ window.trailTool = {
     },
     setCameraPosition: setCameraPosition,
     setCameraFOV: setCameraFOV,
+    setCameraZoom: setCameraZoom,
+    setCameraProjection: setCameraProjection,
     setCameraPreset: setCameraPreset,
+    applyOrbitSettings: applyOrbitSettings,
+    addCameraBookmark: addCameraBookmark,
+    removeCameraBookmark: removeCameraBookmark,
+    goToCameraBookmark: goToCameraBookmark,
+    addCameraPathKeyframe: addCameraPathKeyframe,
+    setCameraPathKeyframeTime: setCameraPathKeyframeTime,
+    removeCameraPathKeyframe: removeCameraPathKeyframe,
+    goToCameraPathKeyframe: goToCameraPathKeyframe,
+    getCameraPathDuration: getCameraPathDuration,
+    startCameraPath: startCameraPath,
+    stopCameraPath: stopCameraPath,
+    isPlayingCameraPath: () => cameraPathPlayback !== null,
+    // Force field functions
+    addForceField: addForceField,
+    removeForceField: removeForceField,
+    updateForceField: updateForceField,
+    selectForceField: selectForceField,
+    getSelectedForceField: () => selectedForceField,
+    setForceFieldEditMode: setForceFieldEditMode,
+    isForceFieldEditMode: () => forceFieldEditMode,
+    updateForceFieldGuides: updateForceFieldGuides,
+    loadDrawTargetModel: loadDrawTargetModel,
+    clearDrawTargetModel: clearDrawTargetModel,
+    updateDrawTarget: updateDrawTarget,
+    getDrawDepth: () => drawDepth,
+    setDrawDepth: setDrawDepth,
     // Multi-gradient pool functions
     initMultiGradientPools: initMultiGradientPools,
     updateMultiGradientPoolMaterials: updateMultiGradientPoolMaterials,
@@ -2499,6 +4848,7 @@ window.trailTool = {
     hasUploadedMatcap: () => uploadedMatcapTexture !== null,
     // Material functions
     applySolidColor: applySolidColor,
+    applyOriginalMaterial: applyOriginalMaterial,
     applyCurrentMaterial: applyCurrentMaterial,
     // Lerp mode functions
     initLerpPools: initLerpPools,
@@ -2507,7 +4857,20 @@ window.trailTool = {
     // Age fading functions
     initAgeFading: initAgeFading,
     cleanupAgeFading: cleanupAgeFading,
-    updateAgeFadingMaterial: updateAgeFadingMaterial
+    updateAgeFadingMaterial: updateAgeFadingMaterial,
+    // Gesture recorder functions
+    startGestureRecording: startGestureRecording,
+    stopGestureRecording: stopGestureRecording,
+    isRecordingGesture: () => gestureRecording !== null,
+    startGesturePlayback: startGesturePlayback,
+    stopGesturePlayback: stopGesturePlayback,
+    isPlayingGesture: () => gesturePlayback !== null,
+    getGestureTrack: () => gestureTrack,
+    saveGestureTrack: saveGestureTrack,
+    loadGestureTrack: loadGestureTrack,
+    // Sequence export functions
+    renderSequence: renderSequence,
+    isRenderingSequence: () => isOfflineRendering
 };
 
 // ========== PRESET MANAGEMENT ==========
@@ -2551,17 +4914,40 @@ function loadPreset(preset) {
     // Apply settings from preset (preserve cursorImage if it exists)
     const currentCursor = settings.cursorImage;
     Object.assign(settings, preset.settings);
+
+    // Presets saved before spacing units and emission modes existed are pixel-spaced
+    if (!preset.settings.spacingUnit) settings.spacingUnit = 'pixels';
+    if (!preset.settings.emissionMode) settings.emissionMode = 'distance';
+
+    // Older presets had a frictionless bounce floor
+    if (preset.settings.friction === undefined) settings.friction = 0;
+
+    // Older presets have no camera target; their camera looked straight down -Z
+    if (preset.settings.cameraTargetX === undefined) {
+        settings.cameraTargetX = settings.cameraX;
+        settings.cameraTargetY = settings.cameraY;
+        settings.cameraTargetZ = 0;
+    }
+    if (!preset.settings.cameraProjection) settings.cameraProjection = 'perspective';
+    if (preset.settings.cameraZoom === undefined) settings.cameraZoom = 1;
+    if (!preset.settings.cameraBookmarks) settings.cameraBookmarks = [];
+    if (!preset.settings.forceFields) settings.forceFields = [];
+    if (!preset.settings.cameraPathKeyframes) settings.cameraPathKeyframes = [];
     if (currentCursor && !preset.settings.cursorImage) {
         settings.cursorImage = currentCursor;
     }
 
     // Sync all UI controls to match loaded values
     syncUIToSettings();
+    updateSimulationBackend();
 
     // Update material if needed
     if (typeof updateMaterial === 'function') {
         updateMaterial();
     }
+
+    // Start fresh from the preset's seed
+    clearCanvas();
 }
 
 function loadPresetFromStorage(name) {
@@ -2630,15 +5016,39 @@ function syncUIToSettings() {
     };
 
     // Trail/particle settings
+    setSelect('emission-mode', settings.emissionMode);
+    setSlider('emission-rate', settings.emissionRate);
+    setSelect('spacing-unit', settings.spacingUnit);  // Before spacing: sets the slider range
     setSlider('spacing', settings.spacing);
+    setSelect('stroke-smoothing', settings.strokeSmoothing);
+    setSlider('stabilizer-radius', settings.stabilizerRadius);
     setSlider('size', settings.size);
     setSlider('size-min', settings.sizeMin);
     setSlider('size-max', settings.sizeMax);
     setToggle('random-size', settings.randomSize);
     setToggle('size-by-speed', settings.sizeBySpeed);
+    setSelect('size-driver', settings.sizeDriver);
+    setSelect('spacing-driver', settings.spacingDriver);
+    setSelect('rotation-driver', settings.rotationDriver);
+    setSelect('color-driver', settings.colorDriver);
+    setColor('driver-tint-color', settings.driverTintColor);
     setSlider('lifespan', settings.lifespan);
     setSlider('exit-duration', settings.exitDuration);
     setSelect('disappear-mode', settings.disappearMode);
+    setSlider('enter-duration', settings.enterDuration);
+    setSelect('appear-mode', settings.appearMode);
+    setSlider('random-seed', settings.randomSeed);
+    setSlider('max-particles', settings.maxParticles);
+    setToggle('auto-grow-pool', settings.autoGrowPool);
+    setSelect('overflow-policy', settings.overflowPolicy);
+    setToggle('gpu-simulation', settings.gpuSimulation);
+
+    // Model library
+    setSelect('model-selection-mode', settings.modelSelectionMode);
+    setToggle('model-animation-toggle', settings.modelAnimationEnabled);
+    setSelect('model-animation-clip', settings.modelAnimationClip);
+    setSlider('model-animation-speed', settings.modelAnimationSpeed);
+    setSelect('model-animation-phase', settings.modelAnimationPhase);
 
     // Facing mode
     setSelect('facing-mode', settings.facingMode);
@@ -2666,6 +5076,9 @@ function syncUIToSettings() {
     setToggle('float-enabled', settings.floatEnabled);
     setSelect('float-style', settings.floatStyle);
     setSlider('float-amplitude', settings.floatAmplitude);
+    setSlider('curl-noise-scale', settings.curlNoiseScale);
+    setSlider('curl-noise-speed', settings.curlNoiseSpeed);
+    setSlider('curl-noise-octaves', settings.curlNoiseOctaves);
     setToggle('follow-enabled', settings.followEnabled);
     setSlider('follow-strength', settings.followStrength);
 
@@ -2674,6 +5087,16 @@ function syncUIToSettings() {
     setSlider('gravity-strength', settings.gravityStrength);
     setToggle('bounce-enabled', settings.bounceEnabled);
     setSlider('bounce-amount', settings.bounceAmount);
+    setToggle('collisions-enabled', settings.collisionsEnabled);
+    setSlider('collision-radius', settings.collisionRadius);
+    setToggle('bounds-enabled', settings.boundsEnabled);
+    setSlider('collision-bounce', settings.collisionBounce);
+    setSlider('friction', settings.friction);
+
+    // Force fields - the list and guides rebuild from settings.forceFields
+    setToggle('show-force-fields', settings.showForceFields);
+    setSelect('force-field-new-type', settings.forceFieldNewType);
+    selectForceField(-1);
     setToggle('spin-enabled', settings.spinEnabled);
     setSlider('spin-speed', settings.spinSpeed);
     setToggle('tumble-enabled', settings.tumbleEnabled);
@@ -2691,10 +5114,49 @@ function syncUIToSettings() {
     setToggle('cursor-enabled', settings.cursorEnabled);
     setSlider('cursor-size', settings.cursorSize);
 
-    // Camera
-    setSlider('camera-x', settings.cameraX);
-    setSlider('camera-y', settings.cameraY);
-    setSlider('camera-fov', settings.cameraFOV);
+    // Gesture playback
+    setToggle('gesture-loop', settings.gestureLoop);
+
+    // Sequence export
+    setSelect('export-fps', settings.exportFps);
+    setSlider('export-duration', settings.exportDuration);
+    setSelect('export-scale', settings.exportScale);
+    setSelect('export-format', settings.exportFormat);
+    setToggle('export-replay-gesture', settings.exportReplayGesture);
+
+    // Drawing surface
+    setSelect('draw-target', settings.drawTarget);
+    setSelect('draw-plane-orientation', settings.drawPlaneOrientation);
+    setSlider('draw-plane-depth', settings.drawPlaneDepth);
+    setSlider('draw-sphere-radius', settings.drawSphereRadius);
+    setSlider('draw-target-size', settings.drawTargetSize);
+    setToggle('show-draw-target', settings.showDrawTarget);
+    setToggle('align-to-surface', settings.alignToSurface);
+    setSlider('surface-offset', settings.surfaceOffset);
+    setToggle('depth-wheel-enabled', settings.depthWheelEnabled);
+    setToggle('depth-keys-enabled', settings.depthKeysEnabled);
+    setSlider('depth-step', settings.depthStep);
+    setSlider('depth-key-speed', settings.depthKeySpeed);
+    setSlider('depth-limit', settings.depthLimit);
+    setToggle('depth-oscillation', settings.depthOscillation);
+    setSlider('depth-oscillation-amplitude', settings.depthOscillationAmplitude);
+    setSlider('depth-oscillation-speed', settings.depthOscillationSpeed);
+
+    // Camera - applied directly (slider events would snap it to the slider steps);
+    // the position / FOV / zoom sliders follow through the camera-changed event
+    setSelect('camera-projection', settings.cameraProjection);
+    applyCameraSettings();
+    setToggle('orbit-enabled', settings.orbitEnabled);
+    setSlider('orbit-damping', settings.orbitDamping);
+    setSlider('camera-transition-duration', settings.cameraTransitionDuration);
+    document.dispatchEvent(new CustomEvent('camera-bookmarks-changed'));
+    setToggle('camera-path-enabled', settings.cameraPathEnabled);
+    setToggle('camera-path-loop', settings.cameraPathLoop);
+    setToggle('camera-path-smooth', settings.cameraPathSmooth);
+    document.dispatchEvent(new CustomEvent('camera-path-changed'));
+
+    // Refresh the lifetime curve editor with the loaded curves
+    document.dispatchEvent(new CustomEvent('preset-curves-loaded'));
 
     // Update gradient UI if gradients exist
     if (settings.gradientSets && settings.gradientSets[0]) {
@@ -0,0 +1,162 @@
+/*
+ * Particle Collisions
+ *
+ * Pushes overlapping particles apart and trades their impulse, treating each
+ * one as a sphere of equal mass. Particles from every pool are packed into
+ * flat body arrays (position, velocity, radius), bucketed in a SpatialHash,
+ * and each touching pair is resolved once per step. Like the CPU update it
+ * only touches plain numbers and typed arrays, so bench/particle-bench.js can
+ * run it headless.
+ * Used by the 3D Trail particle collisions (resolveParticleCollisions in main.js).
+ */
+
+class ParticleCollisions {
+    constructor() {
+        this.capacity = 0;
+        this.count = 0;
+        this.positions = null;
+        this.velocities = null;
+        this.radii = null;
+        this.hash = new SpatialHash();
+
+        // Pair state for visitCandidate, which is created once so queries allocate nothing
+        this.current = 0;
+        this.bounce = 0;
+        this.friction = 0;
+        this.visitCandidate = (other) => {
+            if (other > this.current) this.resolvePair(this.current, other);
+        };
+    }
+
+    /**
+     * Resolve contacts between the live particles of every store, writing the
+     * pushed positions and velocities back into the stores
+     * @param {Array<ParticleStore>} stores
+     * @param {number} delta - Seconds
+     * @param {Object} settings - Tool settings (collision radius and bounce, friction)
+     */
+    resolve(stores, delta, settings) {
+        let count = 0;
+        for (let s = 0; s < stores.length; s++) count += stores[s].count;
+        if (count < 2) return;
+        this.reserve(count);
+
+        // Pack every body. Models are normalized to a unit bounding box, so a
+        // scale-1 particle has radius 0.5
+        const { positions, velocities, radii } = this;
+        let body = 0;
+        let maxRadius = 0;
+        for (let s = 0; s < stores.length; s++) {
+            const store = stores[s];
+            for (let index = store.head; index !== -1; index = store.next[index], body++) {
+                for (let axis = 0; axis < 3; axis++) {
+                    positions[body * 3 + axis] = store.positions[index * 3 + axis];
+                    velocities[body * 3 + axis] = store.velocities[index * 3 + axis];
+                }
+                radii[body] = store.scales[index] * 0.5 * settings.collisionRadius;
+                maxRadius = Math.max(maxRadius, radii[body]);
+            }
+        }
+        this.count = count;
+        if (maxRadius <= 0) return;
+
+        // Cells two radii wide: any touching pair is in neighbouring cells
+        this.hash.build(positions, count, maxRadius * 2);
+        this.bounce = settings.collisionBounce;
+        this.friction = settings.friction > 0 ? 1 - Math.pow(1 - settings.friction, delta * 60) : 0;
+        for (let current = 0; current < count; current++) {
+            this.current = current;
+            this.hash.query(positions[current * 3], positions[current * 3 + 1], positions[current * 3 + 2], this.visitCandidate);
+        }
+
+        // Write the resolved bodies back in the same order
+        body = 0;
+        for (let s = 0; s < stores.length; s++) {
+            const store = stores[s];
+            for (let index = store.head; index !== -1; index = store.next[index], body++) {
+                for (let axis = 0; axis < 3; axis++) {
+                    store.positions[index * 3 + axis] = positions[body * 3 + axis];
+                    store.velocities[index * 3 + axis] = velocities[body * 3 + axis];
+                }
+            }
+        }
+    }
+
+    // Grow the body arrays to hold count bodies
+    reserve(count) {
+        if (this.capacity >= count) return;
+        this.capacity = Math.max(count, this.capacity * 2);
+        this.positions = new Float32Array(this.capacity * 3);
+        this.velocities = new Float32Array(this.capacity * 3);
+        this.radii = new Float32Array(this.capacity);
+    }
+
+    // Separate bodies a and b if they overlap, then exchange impulse and friction
+    resolvePair(a, b) {
+        const { positions, velocities, radii } = this;
+        const a3 = a * 3;
+        const b3 = b * 3;
+        let nx = positions[b3] - positions[a3];
+        let ny = positions[b3 + 1] - positions[a3 + 1];
+        let nz = positions[b3 + 2] - positions[a3 + 2];
+        const minDistance = radii[a] + radii[b];
+        const distanceSq = nx * nx + ny * ny + nz * nz;
+        if (distanceSq >= minDistance * minDistance) return;
+
+        // Particles spawned on the same spot separate vertically
+        const distance = Math.sqrt(distanceSq);
+        if (distance > 1e-6) {
+            nx /= distance;
+            ny /= distance;
+            nz /= distance;
+        } else {
+            nx = 0;
+            ny = 1;
+            nz = 0;
+        }
+
+        // Equal masses: each moves half the overlap
+        const push = (minDistance - distance) / 2;
+        positions[a3] -= nx * push;
+        positions[a3 + 1] -= ny * push;
+        positions[a3 + 2] -= nz * push;
+        positions[b3] += nx * push;
+        positions[b3 + 1] += ny * push;
+        positions[b3 + 2] += nz * push;
+
+        let rx = velocities[b3] - velocities[a3];
+        let ry = velocities[b3 + 1] - velocities[a3 + 1];
+        let rz = velocities[b3 + 2] - velocities[a3 + 2];
+        const normalSpeed = rx * nx + ry * ny + rz * nz;
+        if (normalSpeed < 0) {
+            const impulse = -normalSpeed * (1 + this.bounce) / 2;
+            velocities[a3] -= nx * impulse;
+            velocities[a3 + 1] -= ny * impulse;
+            velocities[a3 + 2] -= nz * impulse;
+            velocities[b3] += nx * impulse;
+            velocities[b3 + 1] += ny * impulse;
+            velocities[b3 + 2] += nz * impulse;
+            rx += nx * impulse * 2;
+            ry += ny * impulse * 2;
+            rz += nz * impulse * 2;
+        }
+
+        // Friction evens out the sliding (tangential) part of the relative velocity
+        const share = this.friction / 2;
+        if (share > 0) {
+            const along = rx * nx + ry * ny + rz * nz;
+            rx -= nx * along;
+            ry -= ny * along;
+            rz -= nz * along;
+            velocities[a3] += rx * share;
+            velocities[a3 + 1] += ry * share;
+            velocities[a3 + 2] += rz * share;
+            velocities[b3] -= rx * share;
+            velocities[b3 + 1] -= ry * share;
+            velocities[b3 + 2] -= rz * share;
+        }
+    }
+}
+
+// Export to global scope
+window.ParticleCollisions = ParticleCollisions;
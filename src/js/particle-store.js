@@ -0,0 +1,697 @@
+/*
+ * Particle Store
+ *
+ * Struct-of-arrays storage for one particle pool. Every per-particle value
+ * lives in a typed array indexed by instance slot, so the CPU update walks
+ * flat memory and allocates nothing per frame. Live slots are chained in
+ * spawn order (oldest first) through next / prev links; free slots sit on
+ * a stack.
+ * The CPU update step lives here as well. It only touches plain numbers and
+ * the arrays it is handed (no DOM, no three.js objects), so
+ * bench/particle-bench.js can run it headless in Node.
+ * Used by the 3D Trail particle pools (ParticlePool in main.js).
+ */
+
+class ParticleStore {
+    /**
+     * @param {number} capacity - Instance slots
+     */
+    constructor(capacity) {
+        this.capacity = 0;
+        this.count = 0;       // Live slots
+        this.head = -1;       // Oldest live slot
+        this.tail = -1;       // Newest live slot
+        this.freeCount = 0;
+        this.permuteScratch = null;
+
+        // Scratch values for the update step
+        this.samplePosition = { x: 0, y: 0, z: 0 };
+        this.sampleOut = { x: 0, y: 0, z: 0 };
+        this.lifetimeCurves = ParticleStore.CURVE_NAMES.map(() => null);  // Enabled curves, in CURVE_NAMES order
+        this.curveValues = new Float64Array(ParticleStore.CURVE_NAMES.length);  // Their values for the current particle
+
+        this.resize(capacity);
+    }
+
+    /**
+     * Reallocate every array for a new capacity, keeping the slots below it.
+     * Live slots at or past the new end must be released first.
+     */
+    resize(capacity) {
+        const kept = Math.min(this.capacity, capacity);
+        const reallocate = (array, Type, itemSize) => {
+            const resized = new Type(capacity * itemSize);
+            if (array) resized.set(array.subarray(0, kept * itemSize));
+            return resized;
+        };
+
+        ParticleStore.FIELDS.forEach(([name, Type, itemSize]) => {
+            this[name] = reallocate(this[name], Type, itemSize);
+        });
+        this.next = reallocate(this.next, Int32Array, 1);
+        this.prev = reallocate(this.prev, Int32Array, 1);
+        this.expired = new Int32Array(capacity);
+        this.spawnOrder = new Int32Array(capacity);  // Scratch for permute()
+        this.newSlots = new Int32Array(capacity);
+        this.permuteScratch = null;
+
+        // Drop free slots past the end, then hand out the lowest new slot first
+        const freeSlots = new Int32Array(capacity);
+        let freeCount = 0;
+        for (let i = 0; i < this.freeCount; i++) {
+            if (this.freeSlots[i] < capacity) freeSlots[freeCount++] = this.freeSlots[i];
+        }
+        for (let slot = capacity - 1; slot >= this.capacity; slot--) {
+            freeSlots[freeCount++] = slot;
+        }
+        this.freeSlots = freeSlots;
+        this.freeCount = freeCount;
+        this.capacity = capacity;
+    }
+
+    /**
+     * Take a free slot and link it in as the newest particle.
+     * Its values are stale; the caller writes every field.
+     * @returns {number} Slot, or -1 when the store is full
+     */
+    acquire() {
+        if (this.freeCount === 0) return -1;
+        const slot = this.freeSlots[--this.freeCount];
+
+        this.prev[slot] = this.tail;
+        this.next[slot] = -1;
+        if (this.tail === -1) {
+            this.head = slot;
+        } else {
+            this.next[this.tail] = slot;
+        }
+        this.tail = slot;
+        this.count++;
+        return slot;
+    }
+
+    // Unlink a live slot and put it back on the free stack
+    release(slot) {
+        const prev = this.prev[slot];
+        const next = this.next[slot];
+        if (prev === -1) this.head = next; else this.next[prev] = next;
+        if (next === -1) this.tail = prev; else this.prev[next] = prev;
+
+        this.freeSlots[this.freeCount++] = slot;
+        this.count--;
+    }
+
+    /**
+     * Reset a slot from acquire() to a new particle at rest: no velocity, spin
+     * or age, a random float phase and tumble. The caller places it
+     * (positions, moveDirections) and sets what the tool decides at spawn
+     * (base rotation, pen roll, surface alignment), which start out zero.
+     * @param {number} slot
+     * @param {number} scale - Spawn size
+     * @param {number} lifespan - Seconds
+     * @param {number} time - Simulation time, the start of the float phase
+     * @param {Function} random - Seeded random, 0-1
+     */
+    spawn(slot, scale, lifespan, time, random) {
+        const i3 = slot * 3;
+        this.velocities.fill(0, i3, i3 + 3);
+        this.spinOffsets.fill(0, i3, i3 + 3);
+        this.rotations.fill(0, i3, i3 + 3);
+        this.baseRotations.fill(0, i3, i3 + 3);
+        this.scales[slot] = scale;
+        this.initialScales[slot] = scale;
+        this.ages[slot] = 0;
+        this.lifespans[slot] = lifespan;
+        this.phases[slot] = time + random() * Math.PI * 2;  // Random phase for organic feel
+        this.penRolls[slot] = 0;
+        this.surfaceAligned[slot] = 0;
+
+        // Random factors for tumble variation (unique per particle, used dynamically)
+        for (let axis = 0; axis < 3; axis++) {
+            this.tumbleFactors[i3 + axis] = (random() - 0.5) * 4;
+        }
+    }
+
+    /**
+     * Move live particles so the one in slot order[i] lands in slot i.
+     * order must list every live slot (count = this.count); spawn order is kept
+     * and the free stack becomes the slots past the live range.
+     */
+    permute(order, count) {
+        ParticleStore.FIELDS.forEach(([name, , itemSize]) => {
+            this.permuteArray(this[name], itemSize, order, count);
+        });
+
+        // Relink in spawn order under the new slot numbers
+        const newSlots = this.newSlots;
+        for (let i = 0; i < count; i++) newSlots[order[i]] = i;
+        let length = 0;
+        for (let slot = this.head; slot !== -1; slot = this.next[slot]) {
+            this.spawnOrder[length++] = newSlots[slot];
+        }
+
+        this.head = length > 0 ? this.spawnOrder[0] : -1;
+        this.tail = length > 0 ? this.spawnOrder[length - 1] : -1;
+        for (let i = 0; i < length; i++) {
+            const slot = this.spawnOrder[i];
+            this.prev[slot] = i > 0 ? this.spawnOrder[i - 1] : -1;
+            this.next[slot] = i < length - 1 ? this.spawnOrder[i + 1] : -1;
+        }
+
+        this.freeCount = 0;
+        for (let slot = this.capacity - 1; slot >= count; slot--) {
+            this.freeSlots[this.freeCount++] = slot;
+        }
+    }
+
+    /**
+     * Reorder the first count items of any per-slot array (also the pool's
+     * instance attributes) so item order[i] ends up at i
+     * @param {TypedArray} array
+     * @param {number} itemSize - Values per slot
+     * @param {Int32Array} order
+     * @param {number} count
+     */
+    permuteArray(array, itemSize, order, count) {
+        const length = count * itemSize;
+        if (!this.permuteScratch || this.permuteScratch.length < length) {
+            // Float64 holds every value of the narrower array types exactly
+            this.permuteScratch = new Float64Array(Math.max(length, this.capacity * 4));
+        }
+        const scratch = this.permuteScratch;
+
+        for (let i = 0; i < count; i++) {
+            const from = order[i] * itemSize;
+            const to = i * itemSize;
+            for (let k = 0; k < itemSize; k++) scratch[to + k] = array[from + k];
+        }
+        for (let i = 0; i < length; i++) array[i] = scratch[i];
+    }
+
+    // ========== CPU UPDATE ==========
+
+    /**
+     * Advance every live particle by delta seconds and write its instance
+     * matrix and fade. Expired slots are listed at the start of this.expired
+     * (as many as the return value) for the caller to release; they are not
+     * touched otherwise.
+     * Nothing here allocates. Optimized code boxes a double it passes to or
+     * gets back from a call it doesn't inline, or merges into a local that may
+     * also hold a settings value, so curve values, the curl noise point and
+     * surface rotations travel through typed arrays and the floor clamps with
+     * Math.max.
+     * @param {number} delta - Seconds
+     * @param {Object} settings - Tool settings
+     * @param {Object} frame - Per-frame inputs: { time, followTarget, lookTarget,
+     *   cameraPosition, cameraFacing, boundsPlanes, noise, random,
+     *   addFieldAcceleration, fieldScale }. Positions and directions are
+     *   { x, y, z }, planes { normal, constant }; unused ones may be null.
+     * @param {Float32Array} matrices - 16 floats per slot (column-major)
+     * @param {Float32Array} fades - (opacity, dissolve) per slot
+     * @returns {number} Number of expired slots
+     */
+    update(delta, settings, frame, matrices, fades) {
+        const {
+            positions, velocities, rotations, spinOffsets, baseRotations, tumbleFactors,
+            surfaceRotations, surfaceAligned, moveDirections, scales, initialScales,
+            ages, lifespans, phases, penRolls
+        } = this;
+        const time = frame.time;
+        const toRadians = Math.PI / 180;
+
+        // Per-frame constants
+        const floatStyle = settings.floatEnabled ? settings.floatStyle : null;
+        const curlScale = settings.curlNoiseScale;
+        const curlTime = time * settings.curlNoiseSpeed;
+        const curlInput = floatStyle === 'curl' ? frame.noise.curlInput : null;
+        const followTarget = settings.followEnabled ? frame.followTarget : null;
+        const lookTarget = settings.lookAtMouseEnabled ? frame.lookTarget : null;
+        const addFieldAcceleration = settings.forceFields.length > 0 ? frame.addFieldAcceleration : null;
+        const fieldStep = delta * (frame.fieldScale || 0);
+        const boundsPlanes = frame.boundsPlanes;
+        const damping = Math.pow(0.99, delta * 60);
+        const frictionKeep = settings.friction > 0 ? Math.pow(1 - settings.friction, delta * 60) : 1;
+        const bounceFloor = settings.gravityEnabled && settings.bounceEnabled;
+        const bounceHeight = settings.bounceHeight;
+        const bounceAmount = settings.bounceAmount;
+        const spinTumbleActive = settings.spinEnabled || settings.tumbleEnabled;
+        const tumbleSpeed = settings.tumbleEnabled ? settings.tumbleSpeed : 0;
+        const spinSpeed = settings.spinEnabled ? settings.spinSpeed : 0;
+        const spinDecay = Math.max(0, 1 - 3.0 * delta);  // Return to base orientation when spin/tumble are off
+        const fixedX = settings.fixedAngleX * toRadians;
+        const fixedY = settings.fixedAngleY * toRadians;
+        const fixedZ = settings.fixedAngleZ * toRadians;
+        const cameraPosition = frame.cameraPosition;
+        const cameraFacing = frame.cameraFacing;
+        const lookMaxLeft = settings.lookAtMaxAngleLeft * toRadians;
+        const lookMaxRight = settings.lookAtMaxAngleRight * toRadians;
+        const lookMaxUp = settings.lookAtMaxAngleUp * toRadians;
+        const lookMaxDown = settings.lookAtMaxAngleDown * toRadians;
+        const samplePosition = this.samplePosition;
+        const sampleOut = this.sampleOut;
+
+        const expired = this.expired;
+        const next = this.next;
+        let expiredCount = 0;
+
+        // Disabled lifetime curves read as 1
+        const curves = this.lifetimeCurves;
+        const curveValues = this.curveValues.fill(1);
+        for (let c = 0; c < curves.length; c++) {
+            const curve = settings.lifetimeCurves[ParticleStore.CURVE_NAMES[c]];
+            curves[c] = curve && curve.enabled ? curve : null;
+        }
+
+        for (let slot = this.head; slot !== -1; slot = next[slot]) {
+            const age = ages[slot] + delta;
+            ages[slot] = age;
+            const lifespan = lifespans[slot];
+            if (age >= lifespan) {
+                expired[expiredCount++] = slot;
+                continue;
+            }
+
+            const lifeRatio = age / lifespan;
+            for (let c = 0; c < curves.length; c++) {
+                if (!curves[c]) continue;
+                curveValues[c] = lifeRatio;
+                ParticleStore.evaluateCurve(curves[c], curveValues, c);
+            }
+            const i3 = slot * 3;
+            let px = positions[i3], py = positions[i3 + 1], pz = positions[i3 + 2];
+            let vx = velocities[i3], vy = velocities[i3 + 1], vz = velocities[i3 + 2];
+
+            // Float (space-like wiggle). The drift stays when float is turned off:
+            // it is organic movement, not a reversible offset
+            if (floatStyle) {
+                const phase = phases[slot];
+                const amplitude = settings.floatAmplitude * curveValues[2] * delta;
+
+                switch (floatStyle) {
+                    case 'oscillate':
+                        px += Math.sin(time * 2 + phase) * amplitude;
+                        py += Math.cos(time * 2.5 + phase * 1.3) * amplitude;
+                        break;
+                    case 'random':
+                        vx += (frame.random() - 0.5) * amplitude * 2;
+                        vy += (frame.random() - 0.5) * amplitude * 2;
+                        break;
+                    case 'perlin':
+                        px += Math.sin(time * 0.7 + slot * 0.1) * Math.cos(time * 0.5 + phase) * amplitude;
+                        py += Math.cos(time * 0.6 + slot * 0.1) * Math.sin(time * 0.8 + phase) * amplitude;
+                        break;
+                    case 'curl':
+                        // Advect through a divergence-free flow: swirls without clumping
+                        curlInput[0] = px * curlScale;
+                        curlInput[1] = py * curlScale;
+                        curlInput[2] = pz * curlScale;
+                        curlInput[3] = curlTime;
+                        frame.noise.sampleCurl(settings.curlNoiseOctaves, sampleOut);
+                        px += sampleOut.x * amplitude;
+                        py += sampleOut.y * amplitude;
+                        pz += sampleOut.z * amplitude;
+                        break;
+                }
+            }
+
+            if (settings.gravityEnabled) {
+                vy -= settings.gravityStrength * curveValues[3] * delta;
+            }
+
+            // Follow (attraction to the pointer)
+            if (followTarget) {
+                const dx = followTarget.x - px;
+                const dy = followTarget.y - py;
+                const dz = followTarget.z - pz;
+                const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+                if (distance > 0.1) {
+                    const pull = settings.followStrength * delta * 10 / distance;
+                    vx += dx * pull;
+                    vy += dy * pull;
+                    vz += dz * pull;
+                }
+            }
+
+            // Placed force fields
+            if (addFieldAcceleration) {
+                samplePosition.x = px;
+                samplePosition.y = py;
+                samplePosition.z = pz;
+                sampleOut.x = sampleOut.y = sampleOut.z = 0;
+                addFieldAcceleration(samplePosition, sampleOut);
+                vx += sampleOut.x * fieldStep;
+                vy += sampleOut.y * fieldStep;
+                vz += sampleOut.z * fieldStep;
+            }
+
+            // Damping (time-independent), then move: velocity is per 60 Hz frame
+            vx *= damping;
+            vy *= damping;
+            vz *= damping;
+            px += vx * delta * 60;
+            py += vy * delta * 60;
+            pz += vz * delta * 60;
+
+            // Bounce floor - only with gravity (no floor without it). Friction
+            // slows the sliding part, which on a floor is x and z
+            if (bounceFloor && py <= bounceHeight) {
+                py = Math.max(py, bounceHeight);
+                vy = Math.abs(vy) * bounceAmount;
+                vx *= frictionKeep;
+                vz *= frictionKeep;
+            }
+
+            // Walls along the visible area
+            if (boundsPlanes) {
+                const radius = scales[slot] * 0.5 * settings.collisionRadius;
+                for (let p = 0; p < boundsPlanes.length; p++) {
+                    const { normal, constant } = boundsPlanes[p];
+                    const distance = normal.x * px + normal.y * py + normal.z * pz + constant;
+                    if (distance >= radius) continue;
+
+                    px += normal.x * (radius - distance);
+                    py += normal.y * (radius - distance);
+                    pz += normal.z * (radius - distance);
+                    let normalSpeed = vx * normal.x + vy * normal.y + vz * normal.z;
+                    if (normalSpeed < 0) {
+                        const reflect = -normalSpeed * (1 + settings.collisionBounce);
+                        vx += normal.x * reflect;
+                        vy += normal.y * reflect;
+                        vz += normal.z * reflect;
+                        normalSpeed += reflect;
+                    }
+                    if (frictionKeep < 1) {
+                        const restore = normalSpeed * (1 - frictionKeep);
+                        vx = vx * frictionKeep + normal.x * restore;
+                        vy = vy * frictionKeep + normal.y * restore;
+                        vz = vz * frictionKeep + normal.z * restore;
+                    }
+                }
+            }
+
+            // Spin / tumble from the CURRENT settings, so toggles affect live particles.
+            // When both are off the offset decays back to the base orientation
+            let sx = spinOffsets[i3], sy = spinOffsets[i3 + 1], sz = spinOffsets[i3 + 2];
+            if (spinTumbleActive) {
+                const step = curveValues[1] * delta;
+                sx += tumbleSpeed * tumbleFactors[i3] * step;
+                sy += (tumbleSpeed * tumbleFactors[i3 + 1] + spinSpeed) * step;
+                sz += tumbleSpeed * tumbleFactors[i3 + 2] * step;
+            } else {
+                sx *= spinDecay;
+                sy *= spinDecay;
+                sz *= spinDecay;
+                if (Math.abs(sx) < 0.001) sx = 0;
+                if (Math.abs(sy) < 0.001) sy = 0;
+                if (Math.abs(sz) < 0.001) sz = 0;
+            }
+            spinOffsets[i3] = sx;
+            spinOffsets[i3 + 1] = sy;
+            spinOffsets[i3 + 2] = sz;
+
+            // Rotation from the CURRENT facing mode
+            let rx = sx, ry = sy, rz = sz;
+            switch (settings.facingMode) {
+                case 'fixed':
+                    rx += fixedX;
+                    ry += fixedY;
+                    rz += fixedZ;
+                    break;
+                case 'random':
+                case 'mouse':
+                case 'none':
+                    rx += baseRotations[i3];
+                    ry += baseRotations[i3 + 1];
+                    rz += baseRotations[i3 + 2];
+                    break;
+                case 'billboard': {
+                    let lx, ly, lz;
+                    if (cameraFacing) {
+                        lx = cameraFacing.x; ly = cameraFacing.y; lz = cameraFacing.z;
+                    } else {
+                        lx = cameraPosition.x - px; ly = cameraPosition.y - py; lz = cameraPosition.z - pz;
+                        const length = Math.sqrt(lx * lx + ly * ly + lz * lz) || 1;
+                        lx /= length; ly /= length; lz /= length;
+                    }
+                    rx += Math.atan2(-ly, Math.sqrt(lx * lx + lz * lz));
+                    ry += Math.atan2(lx, lz);
+                    break;
+                }
+            }
+
+            if (surfaceAligned[slot]) {
+                // Surface-aligned particles ignore the facing mode; spin and pen roll turn them in place
+                rotations[i3] = sx;
+                rotations[i3 + 1] = sy;
+                rotations[i3 + 2] = sz + penRolls[slot];
+                this.applySurfaceRotation(slot, rotations);
+                rx = rotations[i3];
+                ry = rotations[i3 + 1];
+                rz = rotations[i3 + 2];
+            } else {
+                // Pen rotation driver rolls the particle around its facing axis
+                rz += penRolls[slot];
+            }
+
+            // Look at the pointer (independent of the facing mode, stacks on top)
+            if (lookTarget) {
+                const dx = lookTarget.x - px;
+                const dy = lookTarget.y - py;
+                const dz = lookTarget.z - pz;
+                if (Math.sqrt(dx * dx + dy * dy + dz * dz) > 0.01) {
+                    // Yaw from x / z, pitch from y against the horizontal distance, each clamped per side
+                    const idealYaw = Math.atan2(dx, dz);
+                    const idealPitch = Math.atan2(-dy, Math.sqrt(dx * dx + dz * dz));
+                    const targetY = idealYaw >= 0 ? Math.min(idealYaw, lookMaxRight) : Math.max(idealYaw, -lookMaxLeft);
+                    const targetX = idealPitch >= 0 ? Math.min(idealPitch, lookMaxDown) : Math.max(idealPitch, -lookMaxUp);
+                    const targetZ = Math.min(0.5, Math.max(-0.5, dx * 0.2));  // Slight roll toward the side
+
+                    const strength = settings.lookAtMouseStrength;
+                    rx += (targetX - rx) * strength;
+                    ry += (targetY - ry) * strength;
+                    rz += (targetZ - rz) * strength;
+                }
+            }
+
+            // Exit animation over the last exitDuration seconds
+            const baseScale = initialScales[slot] * curveValues[0];
+            let scale = baseScale;
+            let opacity = 1;
+            let dissolve = 0;
+            const timeRemaining = lifespan - age;
+            const exitDuration = Math.min(settings.exitDuration, lifespan);
+            const exitProgress = (exitDuration > 0 && timeRemaining <= exitDuration)
+                ? 1 - (timeRemaining / exitDuration)
+                : 0;
+
+            switch (settings.disappearMode) {
+                case 'shrink':
+                    scale = baseScale * (1 - exitProgress);
+                    break;
+                case 'fade':
+                    opacity = 1 - exitProgress;
+                    break;
+                case 'dissolve':
+                    dissolve = exitProgress;
+                    break;
+                case 'flyaway':
+                    // Launch along the stroke direction and upward, accelerating while fading
+                    // (moveDirection is in screen space, where y points down)
+                    if (exitProgress > 0) {
+                        const flySpeed = exitProgress * exitProgress * 8;
+                        px += moveDirections[slot * 2] * flySpeed * delta;
+                        py += (1 - moveDirections[slot * 2 + 1]) * flySpeed * delta;
+                        opacity = 1 - exitProgress;
+                        scale = baseScale * (1 - exitProgress * 0.5);
+                    }
+                    break;
+                case 'pop':
+                    // Swell past full size, then collapse quickly
+                    if (exitProgress < 0.7) {
+                        scale = baseScale * (1 + 0.3 * Math.sin((exitProgress / 0.7) * Math.PI / 2));
+                    } else {
+                        scale = baseScale * 1.3 * (1 - (exitProgress - 0.7) / 0.3);
+                    }
+                    break;
+            }
+
+            positions[i3] = px;
+            positions[i3 + 1] = py;
+            positions[i3 + 2] = pz;
+            velocities[i3] = vx;
+            velocities[i3 + 1] = vy;
+            velocities[i3 + 2] = vz;
+            rotations[i3] = rx;
+            rotations[i3 + 1] = ry;
+            rotations[i3 + 2] = rz;
+
+            // Entrance animation: render-only offsets, the simulated state is left alone
+            let renderY = py;
+            let renderRotationY = ry;
+            const enterDuration = Math.min(settings.enterDuration, lifespan);
+            const enterProgress = enterDuration > 0 ? Math.min(1, age / enterDuration) : 1;
+
+            if (enterProgress < 1) {
+                switch (settings.appearMode) {
+                    case 'scale':
+                        // Grow in with an elastic overshoot
+                        scale *= ParticleStore.easeOutElastic(enterProgress);
+                        break;
+                    case 'fade':
+                        opacity *= enterProgress;
+                        break;
+                    case 'drop':
+                        // Fall into place from a few object-heights above
+                        renderY += (1 - ParticleStore.easeOutCubic(enterProgress)) * initialScales[slot] * 3;
+                        break;
+                    case 'spin':
+                        // Unwind a full turn while growing
+                        renderRotationY += (1 - ParticleStore.easeOutCubic(enterProgress)) * Math.PI * 2;
+                        scale *= ParticleStore.easeOutCubic(enterProgress);
+                        break;
+                }
+            }
+
+            scales[slot] = scale;
+            ParticleStore.composeMatrix(matrices, slot * 16, px, renderY, pz, rx, renderRotationY, rz, scale);
+            fades[slot * 2] = opacity;
+            fades[slot * 2 + 1] = dissolve;
+        }
+
+        return expiredCount;
+    }
+
+    // Replace the Euler XYZ angles in rotations at slot with those of
+    // surfaceRotations[slot] * rotation(angles)
+    applySurfaceRotation(slot, rotations) {
+        const q = this.surfaceRotations;
+        const i4 = slot * 4;
+        const ax = q[i4], ay = q[i4 + 1], az = q[i4 + 2], aw = q[i4 + 3];
+        const i3 = slot * 3;
+        const ex = rotations[i3], ey = rotations[i3 + 1], ez = rotations[i3 + 2];
+
+        // Quaternion of the XYZ Euler angles
+        const c1 = Math.cos(ex / 2), c2 = Math.cos(ey / 2), c3 = Math.cos(ez / 2);
+        const s1 = Math.sin(ex / 2), s2 = Math.sin(ey / 2), s3 = Math.sin(ez / 2);
+        const bx = s1 * c2 * c3 + c1 * s2 * s3;
+        const by = c1 * s2 * c3 - s1 * c2 * s3;
+        const bz = c1 * c2 * s3 + s1 * s2 * c3;
+        const bw = c1 * c2 * c3 - s1 * s2 * s3;
+
+        // Surface rotation applied after the local one
+        const x = ax * bw + aw * bx + ay * bz - az * by;
+        const y = ay * bw + aw * by + az * bx - ax * bz;
+        const z = az * bw + aw * bz + ax * by - ay * bx;
+        const w = aw * bw - ax * bx - ay * by - az * bz;
+
+        // Back to XYZ Euler angles through the rotation matrix terms
+        const m11 = 1 - 2 * (y * y + z * z);
+        const m12 = 2 * (x * y - w * z);
+        const m13 = 2 * (x * z + w * y);
+        const m22 = 1 - 2 * (x * x + z * z);
+        const m23 = 2 * (y * z - w * x);
+        const m32 = 2 * (y * z + w * x);
+        const m33 = 1 - 2 * (x * x + y * y);
+
+        rotations[i3 + 1] = Math.asin(Math.min(1, Math.max(-1, m13)));
+        if (Math.abs(m13) < 0.9999999) {
+            rotations[i3] = Math.atan2(-m23, m33);
+            rotations[i3 + 2] = Math.atan2(-m12, m11);
+        } else {
+            rotations[i3] = Math.atan2(m32, m22);
+            rotations[i3 + 2] = 0;
+        }
+    }
+
+    /**
+     * Write a translation * rotation (Euler XYZ) * uniform scale matrix, the
+     * same as THREE.Object3D.updateMatrix() would, column-major at offset
+     */
+    static composeMatrix(out, offset, px, py, pz, rx, ry, rz, scale) {
+        const a = Math.cos(rx), b = Math.sin(rx);
+        const c = Math.cos(ry), d = Math.sin(ry);
+        const e = Math.cos(rz), f = Math.sin(rz);
+        const ae = a * e, af = a * f, be = b * e, bf = b * f;
+
+        out[offset] = c * e * scale;
+        out[offset + 1] = (af + be * d) * scale;
+        out[offset + 2] = (bf - ae * d) * scale;
+        out[offset + 3] = 0;
+        out[offset + 4] = -c * f * scale;
+        out[offset + 5] = (ae - bf * d) * scale;
+        out[offset + 6] = (be + af * d) * scale;
+        out[offset + 7] = 0;
+        out[offset + 8] = d * scale;
+        out[offset + 9] = -b * c * scale;
+        out[offset + 10] = a * c * scale;
+        out[offset + 11] = 0;
+        out[offset + 12] = px;
+        out[offset + 13] = py;
+        out[offset + 14] = pz;
+        out[offset + 15] = 1;
+    }
+
+    /**
+     * Replace values[index], a position along the curve (0-1), with the
+     * curve's value there. Keyframes are joined linearly, or eased when smooth.
+     * @param {Object} curve - { smooth, points: [{ t, v }] } with points sorted by t
+     * @param {Float64Array} values
+     * @param {number} index
+     */
+    static evaluateCurve(curve, values, index) {
+        const points = curve.points;
+        const t = values[index];
+        if (t <= points[0].t) {
+            values[index] = points[0].v;
+            return;
+        }
+
+        for (let i = 1; i < points.length; i++) {
+            const b = points[i];
+            if (t <= b.t) {
+                const a = points[i - 1];
+                let u = b.t > a.t ? (t - a.t) / (b.t - a.t) : 1;
+                if (curve.smooth) u = u * u * (3 - 2 * u);
+                values[index] = a.v + (b.v - a.v) * u;
+                return;
+            }
+        }
+        values[index] = points[points.length - 1].v;
+    }
+
+    // Entrance easing curves (t in 0-1)
+    static easeOutCubic(t) {
+        return 1 - Math.pow(1 - t, 3);
+    }
+
+    static easeOutElastic(t) {
+        if (t <= 0) return 0;
+        if (t >= 1) return 1;
+        return Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * (2 * Math.PI) / 3) + 1;
+    }
+}
+
+// Lifetime curves the update reads, by index into curveValues
+ParticleStore.CURVE_NAMES = ['scale', 'rotationSpeed', 'floatAmplitude', 'gravity'];
+
+// Per-slot arrays: [name, type, values per slot]
+ParticleStore.FIELDS = [
+    ['positions', Float32Array, 3],
+    ['velocities', Float32Array, 3],        // World units per 60 Hz frame
+    ['rotations', Float32Array, 3],         // Euler XYZ after facing, surface alignment and look at mouse
+    ['spinOffsets', Float32Array, 3],       // Accumulated spin / tumble
+    ['baseRotations', Float32Array, 3],     // Spawn orientation for the random / mouse facing modes
+    ['tumbleFactors', Float32Array, 3],     // Per-axis tumble speed multipliers
+    ['surfaceRotations', Float32Array, 4],  // Quaternion (x, y, z, w) turning +Z onto the surface normal
+    ['surfaceAligned', Uint8Array, 1],      // 1 when surfaceRotations applies
+    ['moveDirections', Float32Array, 2],    // Screen-space stroke direction at spawn
+    ['scales', Float32Array, 1],            // Current uniform scale
+    ['initialScales', Float32Array, 1],
+    ['ages', Float32Array, 1],
+    ['lifespans', Float32Array, 1],
+    ['phases', Float64Array, 1],            // Float phase: spawn time plus a random offset
+    ['penRolls', Float32Array, 1]
+];
+
+// Export to global scope
+window.ParticleStore = ParticleStore;
@@ -0,0 +1,240 @@
+/*
+ * Simplex Noise
+ *
+ * Seeded 3D simplex noise (after Stefan Gustavson's reference implementation)
+ * with analytic gradients, plus fractal curl noise built from it. Curl noise
+ * is the curl of three noise potentials, so the flow it describes is
+ * divergence-free: particles swirl around each other like smoke instead of
+ * bunching up or spreading out.
+ * Used by the 3D Trail "curl" float style.
+ */
+
+class SimplexNoise {
+    /**
+     * @param {number} seed - Same seed, same noise field
+     */
+    constructor(seed = 1) {
+        this.seed = seed;
+        this.perm = new Uint8Array(512);
+        this.permMod12 = new Uint8Array(512);
+        this.gradient = new Float64Array(3);  // Scratch output of noise3
+        this.value = new Float64Array(1);     // Noise value of the last sample
+        this.point = new Float64Array(3);     // Scratch input of sample()
+        this.corners = new Float64Array(16);  // Scratch: per simplex corner (dx, dy, dz, gradient index)
+        this.curlInput = new Float64Array(4); // Scratch input of sampleCurl(): x, y, z, time
+        this.potentialGradients = new Float64Array(9);  // Scratch for curl3, [potential][axis]
+
+        // Shuffle 0-255 with a Mulberry32 stream seeded from the seed
+        const table = new Uint8Array(256);
+        for (let i = 0; i < 256; i++) table[i] = i;
+        let state = Math.floor(seed) >>> 0;
+        const next = () => {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+        for (let i = 255; i > 0; i--) {
+            const j = Math.floor(next() * (i + 1));
+            [table[i], table[j]] = [table[j], table[i]];
+        }
+
+        for (let i = 0; i < 512; i++) {
+            this.perm[i] = table[i & 255];
+            this.permMod12[i] = this.perm[i] % 12;
+        }
+    }
+
+    /**
+     * Noise value at (x, y, z), roughly -1 to 1.
+     * The gradient (d/dx, d/dy, d/dz) is left in this.gradient.
+     */
+    noise3(x, y, z) {
+        this.point[0] = x;
+        this.point[1] = y;
+        this.point[2] = z;
+        this.sample();
+        return this.value[0];
+    }
+
+    // noise3 of this.point, leaving the value in this.value
+    sample() {
+        const F3 = 1 / 3;
+        const G3 = 1 / 6;
+        const x = this.point[0];
+        const y = this.point[1];
+        const z = this.point[2];
+
+        // Skew into the simplex grid to find the containing cell
+        const s = (x + y + z) * F3;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const k = Math.floor(z + s);
+        const t = (i + j + k) * G3;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+        const z0 = z - (k - t);
+
+        // Which of the six tetrahedra the point is in
+        let i1, j1, k1, i2, j2, k2;
+        if (x0 >= y0) {
+            if (y0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+            else if (x0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 0; k2 = 1; }
+            else { i1 = 0; j1 = 0; k1 = 1; i2 = 1; j2 = 0; k2 = 1; }
+        } else {
+            if (y0 < z0) { i1 = 0; j1 = 0; k1 = 1; i2 = 0; j2 = 1; k2 = 1; }
+            else if (x0 < z0) { i1 = 0; j1 = 1; k1 = 0; i2 = 0; j2 = 1; k2 = 1; }
+            else { i1 = 0; j1 = 1; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+        }
+
+        const ii = i & 255;
+        const jj = j & 255;
+        const kk = k & 255;
+        const perm = this.perm;
+        const permMod12 = this.permMod12;
+
+        // Offset from each of the four corners, and its gradient index
+        const corners = this.corners;
+        corners[0] = x0;
+        corners[1] = y0;
+        corners[2] = z0;
+        corners[3] = permMod12[ii + perm[jj + perm[kk]]];
+        corners[4] = x0 - i1 + G3;
+        corners[5] = y0 - j1 + G3;
+        corners[6] = z0 - k1 + G3;
+        corners[7] = permMod12[ii + i1 + perm[jj + j1 + perm[kk + k1]]];
+        corners[8] = x0 - i2 + 2 * G3;
+        corners[9] = y0 - j2 + 2 * G3;
+        corners[10] = z0 - k2 + 2 * G3;
+        corners[11] = permMod12[ii + i2 + perm[jj + j2 + perm[kk + k2]]];
+        corners[12] = x0 - 1 + 3 * G3;
+        corners[13] = y0 - 1 + 3 * G3;
+        corners[14] = z0 - 1 + 3 * G3;
+        corners[15] = permMod12[ii + 1 + perm[jj + 1 + perm[kk + 1]]];
+
+        // Sum the radial falloff kernels n = t^4 (g . d) of the corners, and
+        // their derivatives. The kernel radius is sqrt(0.5): the reference 0.6
+        // overlaps neighbouring simplices and leaves small seams, which show up
+        // as jumps in the gradient.
+        const grad3 = SimplexNoise.GRAD3;
+        let value = 0;
+        let gradientX = 0;
+        let gradientY = 0;
+        let gradientZ = 0;
+        for (let c = 0; c < 16; c += 4) {
+            const dx = corners[c];
+            const dy = corners[c + 1];
+            const dz = corners[c + 2];
+            const falloff = 0.5 - dx * dx - dy * dy - dz * dz;
+            if (falloff <= 0) continue;
+
+            const gi = corners[c + 3] * 3;
+            const gx = grad3[gi];
+            const gy = grad3[gi + 1];
+            const gz = grad3[gi + 2];
+            const dot = gx * dx + gy * dy + gz * dz;
+            const falloff2 = falloff * falloff;
+            const falloff4 = falloff2 * falloff2;
+
+            // d/dd (t^4 (g . d)) = t^4 g - 8 t^3 (g . d) d
+            const slope = 8 * falloff2 * falloff * dot;
+            gradientX += falloff4 * gx - slope * dx;
+            gradientY += falloff4 * gy - slope * dy;
+            gradientZ += falloff4 * gz - slope * dz;
+            value += falloff4 * dot;
+        }
+
+        // Scale to roughly -1 to 1
+        this.gradient[0] = gradientX * 76;
+        this.gradient[1] = gradientY * 76;
+        this.gradient[2] = gradientZ * 76;
+        this.value[0] = value * 76;
+    }
+
+    /**
+     * Fractal curl noise: a divergence-free flow vector at (x, y, z)
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @param {number} octaves - Layers of detail, each at double frequency and half speed
+     * @param {number} time - Evolves the field; the potentials drift different ways so it changes shape rather than scrolling
+     * @param {Object} out - Receives { x, y, z }
+     * @returns {Object} out
+     */
+    curl3(x, y, z, octaves = 1, time = 0, out = { x: 0, y: 0, z: 0 }) {
+        const input = this.curlInput;
+        input[0] = x;
+        input[1] = y;
+        input[2] = z;
+        input[3] = time;
+        return this.sampleCurl(octaves, out);
+    }
+
+    // curl3 of the point and time in this.curlInput (the CPU update fills it per particle)
+    sampleCurl(octaves, out) {
+        const input = this.curlInput;
+        const x = input[0];
+        const y = input[1];
+        const z = input[2];
+        const time = input[3];
+        const offsets = SimplexNoise.POTENTIAL_OFFSETS;
+        const drifts = SimplexNoise.POTENTIAL_DRIFTS;
+        const gradient = this.gradient;
+        const point = this.point;
+        const grads = this.potentialGradients.fill(0);
+        let frequency = 1;
+        let amplitude = 1;
+        let totalAmplitude = 0;
+
+        for (let octave = 0; octave < octaves; octave++) {
+            for (let p = 0; p < 3; p++) {
+                const o = p * 3;
+                point[0] = x * frequency + offsets[o] + time * drifts[o];
+                point[1] = y * frequency + offsets[o + 1] + time * drifts[o + 1];
+                point[2] = z * frequency + offsets[o + 2] + time * drifts[o + 2];
+                this.sample();
+                // Each octave's potential is scaled by amplitude / frequency, which
+                // cancels the chain-rule frequency factor of its gradient
+                grads[o] += gradient[0] * amplitude;
+                grads[o + 1] += gradient[1] * amplitude;
+                grads[o + 2] += gradient[2] * amplitude;
+            }
+            totalAmplitude += amplitude;
+            frequency *= 2;
+            amplitude *= 0.5;
+        }
+
+        // curl(psi) = (dpsi3/dy - dpsi2/dz, dpsi1/dz - dpsi3/dx, dpsi2/dx - dpsi1/dy),
+        // normalized so extra octaves add detail without adding speed
+        const scale = 1 / totalAmplitude;
+        out.x = (grads[7] - grads[5]) * scale;
+        out.y = (grads[2] - grads[6]) * scale;
+        out.z = (grads[3] - grads[1]) * scale;
+        return out;
+    }
+}
+
+// Edge midpoints of a cube: the 12 gradient directions of 3D simplex noise
+SimplexNoise.GRAD3 = new Float64Array([
+    1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1, 0,
+    1, 0, 1, -1, 0, 1, 1, 0, -1, -1, 0, -1,
+    0, 1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1
+]);
+
+// Far-apart sample offsets so the three curl potentials are uncorrelated
+SimplexNoise.POTENTIAL_OFFSETS = [
+    0, 0, 0,
+    31.416, 47.853, 12.793,
+    -23.719, 17.137, 63.521
+];
+
+// Per-potential drift directions for curl3's time parameter
+SimplexNoise.POTENTIAL_DRIFTS = [
+    0.7, -0.3, 0.5,
+    -0.4, 0.8, 0.2,
+    0.3, 0.5, -0.8
+];
+
+// Export to global scope
+window.SimplexNoise = SimplexNoise;
@@ -0,0 +1,105 @@
+/*
+ * Spatial Hash
+ *
+ * Uniform grid over 3D space for neighbour lookups, stored as flat typed
+ * arrays (cells are hashed into a table four times the point count, then points
+ * are counting-sorted by table slot). A query visits the 3x3x3 block of cells
+ * around a point, so with a cell size of at least twice the largest search
+ * radius every point within that radius is found.
+ * Used by the 3D Trail particle collisions.
+ */
+
+class SpatialHash {
+    constructor() {
+        this.cellSize = 1;
+        this.tableSize = 0;
+        this.cellStart = new Int32Array(1);  // Slot -> first entry, slot + 1 -> end
+        this.entries = new Int32Array(0);    // Point indices sorted by slot
+        this.pointSlots = new Int32Array(0); // Scratch: table slot of each point
+        this.querySlots = new Int32Array(27); // Scratch: table slots a query has visited
+    }
+
+    /**
+     * Bucket a set of points. Queries report point indices (0 to count - 1).
+     * @param {Float32Array} positions - Packed x, y, z per point
+     * @param {number} count - Points to use from the start of positions
+     * @param {number} cellSize - Edge length of one grid cell in world units
+     */
+    build(positions, count, cellSize) {
+        this.cellSize = cellSize;
+        this.tableSize = Math.max(1, count * 4);
+
+        if (this.cellStart.length < this.tableSize + 1) {
+            this.cellStart = new Int32Array(this.tableSize + 1);
+        } else {
+            this.cellStart.fill(0, 0, this.tableSize + 1);
+        }
+        if (this.entries.length < count) {
+            this.entries = new Int32Array(count);
+            this.pointSlots = new Int32Array(count);
+        }
+
+        const slots = this.pointSlots;
+        for (let i = 0; i < count; i++) {
+            slots[i] = this.getSlot(
+                Math.floor(positions[i * 3] / cellSize),
+                Math.floor(positions[i * 3 + 1] / cellSize),
+                Math.floor(positions[i * 3 + 2] / cellSize)
+            );
+            this.cellStart[slots[i]]++;
+        }
+
+        // Prefix sums give each slot the end of its range...
+        let start = 0;
+        for (let i = 0; i < this.tableSize; i++) {
+            start += this.cellStart[i];
+            this.cellStart[i] = start;
+        }
+        this.cellStart[this.tableSize] = start;
+
+        // ...and filling backwards moves it to the start
+        for (let i = 0; i < count; i++) {
+            this.entries[--this.cellStart[slots[i]]] = i;
+        }
+    }
+
+    /**
+     * Call callback(index) once for every point in the cells around (x, y, z).
+     * Points are candidates only; callers still check the actual distance.
+     */
+    query(x, y, z, callback) {
+        if (this.tableSize === 0) return;
+        const cx = Math.floor(x / this.cellSize);
+        const cy = Math.floor(y / this.cellSize);
+        const cz = Math.floor(z / this.cellSize);
+        const visited = this.querySlots;
+        let visitedCount = 0;
+
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dz = -1; dz <= 1; dz++) {
+                    const slot = this.getSlot(cx + dx, cy + dy, cz + dz);
+                    let seen = false;
+                    for (let k = 0; k < visitedCount && !seen; k++) seen = visited[k] === slot;
+                    if (seen) continue;
+                    visited[visitedCount++] = slot;
+
+                    const end = this.cellStart[slot + 1];
+                    for (let i = this.cellStart[slot]; i < end; i++) {
+                        callback(this.entries[i]);
+                    }
+                }
+            }
+        }
+    }
+
+    // Table slot for integer cell coordinates. Distinct cells can share a slot;
+    // that only adds candidates, which the distance check rejects. Two of the
+    // 27 queried cells can also share one, so query() skips slots it has visited.
+    getSlot(cx, cy, cz) {
+        return ((Math.imul(cx, 92837111) ^ Math.imul(cy, 689287499) ^ Math.imul(cz, 283923481)) >>> 0) % this.tableSize;
+    }
+}
+
+// Export to global scope
+window.SpatialHash = SpatialHash;
@@ -21,40 +21,152 @@ function initUIControls() {
         return;
     }
 
+    // Controls for settings that pick the simulation backend call this once they've changed them
+    const updateSimulationBackend = () => window.trailTool.updateSimulationBackend();
+
     // ========== MODEL UPLOAD ==========
     const modelUpload = document.getElementById('model-upload');
     const modelInfo = document.getElementById('model-info');
     const modelName = document.getElementById('model-name');
     const clearModel = document.getElementById('clear-model');
+    const modelSelectionGroup = document.getElementById('model-selection-group');
 
     if (modelUpload) {
         modelUpload.addEventListener('change', async (e) => {
-            const file = e.target.files[0];
-            if (!file) return;
-
-            try {
-                modelName.textContent = 'Loading...';
-                modelInfo.style.display = 'block';
-
-                await window.trailTool.loadGLBModel(file);
-
-                modelName.textContent = file.name;
-            } catch (error) {
-                alert('Failed to load GLB: ' + error.message);
-                modelInfo.style.display = 'none';
-                modelUpload.value = '';
+            const files = Array.from(e.target.files);
+            if (files.length === 0) return;
+
+            modelInfo.style.display = 'block';
+            modelName.style.display = 'block';
+
+            // Each uploaded file is added to the model library
+            for (const file of files) {
+                try {
+                    modelName.textContent = 'Loading ' + file.name + '...';
+                    await window.trailTool.addModelToLibrary(file);
+                } catch (error) {
+                    alert('Failed to load GLB "' + file.name + '": ' + error.message);
+                }
             }
+
+            modelName.style.display = 'none';
+            modelUpload.value = '';
         });
     }
 
     if (clearModel) {
         clearModel.addEventListener('click', () => {
             window.trailTool.clearModel();
-            modelInfo.style.display = 'none';
             modelUpload.value = '';
         });
     }
 
+    // Library changes come from uploads, removals and clearing
+    document.addEventListener('model-library-changed', rebuildModelLibraryUI);
+
+    // Build the model library list UI
+    function rebuildModelLibraryUI() {
+        const container = document.getElementById('model-library-list');
+        if (!container) return;
+
+        const models = window.trailTool.getModelLibrary();
+        const showWeights = models.length >= 2 && settings.modelSelectionMode === 'weighted';
+
+        container.innerHTML = '';
+        models.forEach((model, index) => {
+            const weight = settings.modelWeights[index] ?? 1;
+            const item = document.createElement('div');
+            item.className = 'model-list-item';
+            item.style.cssText = 'margin-bottom: 6px;';
+            item.innerHTML = `
+                <div style="display: flex; justify-content: space-between; align-items: center; gap: 8px;">
+                    <span class="model-name" style="flex: 1; font-size: 12px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; color: var(--chatooly-color-text);"></span>
+                    <button class="chatooly-btn model-remove-btn" style="padding: 2px 6px; min-width: auto; font-size: 12px;">×</button>
+                </div>
+                <div class="model-weight-group" style="display: ${showWeights ? 'flex' : 'none'}; gap: 8px; align-items: center;">
+                    <input type="range" class="chatooly-slider model-weight" min="0" max="10" step="0.5" value="${weight}" style="flex: 1;">
+                    <span class="model-weight-value" style="min-width: 28px; font-size: 11px; color: var(--chatooly-color-text);">${weight}</span>
+                </div>
+            `;
+            item.querySelector('.model-name').textContent = model.name;
+
+            item.querySelector('.model-remove-btn').addEventListener('click', () => {
+                window.trailTool.removeModelFromLibrary(index);
+            });
+
+            const weightSlider = item.querySelector('.model-weight');
+            const weightValue = item.querySelector('.model-weight-value');
+            weightSlider.addEventListener('input', () => {
+                settings.modelWeights[index] = parseFloat(weightSlider.value);
+                weightValue.textContent = weightSlider.value;
+            });
+
+            container.appendChild(item);
+        });
+
+        if (modelInfo) modelInfo.style.display = models.length > 0 ? 'block' : 'none';
+        if (modelSelectionGroup) modelSelectionGroup.style.display = models.length >= 2 ? 'block' : 'none';
+
+        rebuildModelAnimationClips(models);
+    }
+
+    // Clip dropdown lists the longest clip set; names come from the first model that has each clip
+    function rebuildModelAnimationClips(models) {
+        const group = document.getElementById('model-animation-group');
+        const clipSelect = document.getElementById('model-animation-clip');
+        if (!group || !clipSelect) return;
+
+        const clipCount = Math.max(0, ...models.map(model => model.clips.length));
+        group.style.display = clipCount > 0 ? 'block' : 'none';
+
+        clipSelect.innerHTML = '';
+        for (let i = 0; i < clipCount; i++) {
+            const owner = models.find(model => model.clips[i] !== undefined);
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = owner.clips[i] || `Clip ${i + 1}`;
+            clipSelect.appendChild(option);
+        }
+        clipSelect.value = Math.min(settings.modelAnimationClip, Math.max(0, clipCount - 1));
+    }
+
+    // Model animation controls
+    setupToggle('model-animation-toggle', 'modelAnimationEnabled', settings, 'model-animation-controls');
+    const modelAnimationToggle = document.getElementById('model-animation-toggle');
+    if (modelAnimationToggle) {
+        modelAnimationToggle.addEventListener('click', () => {
+            window.trailTool.updateModelAnimation();
+        });
+    }
+
+    const modelAnimationClip = document.getElementById('model-animation-clip');
+    if (modelAnimationClip) {
+        modelAnimationClip.addEventListener('change', (e) => {
+            const clipIndex = parseInt(e.target.value);
+            if (isNaN(clipIndex)) return;
+            settings.modelAnimationClip = clipIndex;
+            window.trailTool.updateModelAnimation();
+        });
+    }
+
+    setupSlider('model-animation-speed', 'modelAnimationSpeed', settings);
+
+    const modelAnimationPhase = document.getElementById('model-animation-phase');
+    if (modelAnimationPhase) {
+        modelAnimationPhase.addEventListener('change', (e) => {
+            settings.modelAnimationPhase = e.target.value;
+        });
+    }
+
+    // Model selection mode dropdown
+    const modelSelectionMode = document.getElementById('model-selection-mode');
+    if (modelSelectionMode) {
+        modelSelectionMode.addEventListener('change', (e) => {
+            settings.modelSelectionMode = e.target.value;
+            rebuildModelLibraryUI();  // Weight sliders only show in weighted mode
+        });
+    }
+
     // ========== PARTICLE APPEARANCE ==========
 
     // Helper to clear canvas on setting change
@@ -64,8 +176,68 @@ function initUIControls() {
         }
     };
 
+    // Emission mode - timed modes use a rate instead of spacing
+    setupSlider('emission-rate', 'emissionRate', settings);
+    const emissionModeSelect = document.getElementById('emission-mode');
+    if (emissionModeSelect) {
+        emissionModeSelect.addEventListener('change', (e) => {
+            settings.emissionMode = e.target.value;
+            const timed = settings.emissionMode !== 'distance';
+            const rateGroup = document.getElementById('emission-rate-group');
+            const spacingGroup = document.getElementById('spacing-controls-group');
+            if (rateGroup) rateGroup.style.display = timed ? 'block' : 'none';
+            if (spacingGroup) spacingGroup.style.display = timed ? 'none' : 'block';
+        });
+    }
+
     // Spacing slider (distance-based spawning)
     setupSlider('spacing', 'spacing', settings);
+
+    // Spacing unit - each unit gets its own slider range
+    const SPACING_UNIT_RANGES = {
+        pixels: { min: 5, max: 100, step: 1, label: 'pixels' },
+        world: { min: 0.05, max: 5, step: 0.05, label: 'world units' },
+        percent: { min: 0.25, max: 10, step: 0.25, label: '% of width' }
+    };
+    const spacingUnitSelect = document.getElementById('spacing-unit');
+    if (spacingUnitSelect) {
+        spacingUnitSelect.addEventListener('change', (e) => {
+            const previousUnit = settings.spacingUnit;
+            const range = SPACING_UNIT_RANGES[e.target.value];
+            settings.spacingUnit = e.target.value;
+
+            const slider = document.getElementById('spacing');
+            const label = document.getElementById('spacing-label');
+            if (slider) {
+                slider.min = range.min;
+                slider.max = range.max;
+                slider.step = range.step;
+            }
+            if (label) label.textContent = `Spacing (${range.label})`;
+
+            // Convert on user changes so the trail keeps its current density.
+            // Preset loads dispatch untrusted events and already carry a matching value.
+            if (e.isTrusted && previousUnit !== settings.spacingUnit) {
+                const pixels = settings.spacing * window.trailTool.getSpacingUnitScale(previousUnit);
+                const converted = pixels / window.trailTool.getSpacingUnitScale(settings.spacingUnit);
+                const snapped = Math.round(converted / range.step) * range.step;
+                settings.spacing = parseFloat(Math.min(range.max, Math.max(range.min, snapped)).toFixed(2));
+                updateSliderUI('spacing', settings.spacing);
+            }
+        });
+    }
+    setupSlider('stabilizer-radius', 'stabilizerRadius', settings);
+
+    // Stroke smoothing dropdown
+    const strokeSmoothingSelect = document.getElementById('stroke-smoothing');
+    if (strokeSmoothingSelect) {
+        strokeSmoothingSelect.addEventListener('change', (e) => {
+            settings.strokeSmoothing = e.target.value;
+            const radiusGroup = document.getElementById('stabilizer-radius-group');
+            if (radiusGroup) radiusGroup.style.display = settings.strokeSmoothing === 'stabilizer' ? 'block' : 'none';
+        });
+    }
+
     // Size sliders - clear canvas since size is set at spawn
     setupSlider('size', 'size', settings, clearCanvas);
     setupSlider('size-min', 'sizeMin', settings, clearCanvas);
@@ -77,7 +249,7 @@ function initUIControls() {
     function updateSizeControlsVisibility() {
         const singleGroup = document.getElementById('size-single-group');
         const rangeGroup = document.getElementById('size-range-group');
-        const showRange = settings.randomSize || settings.sizeBySpeed;
+        const showRange = settings.randomSize || settings.sizeBySpeed || settings.sizeDriver !== 'none';
 
         if (singleGroup) singleGroup.style.display = showRange ? 'none' : 'block';
         if (rangeGroup) rangeGroup.style.display = showRange ? 'block' : 'none';
@@ -130,11 +302,134 @@ function initUIControls() {
     if (disappearMode) {
         disappearMode.addEventListener('change', (e) => {
             settings.disappearMode = e.target.value;
+            updateSimulationBackend();
+        });
+    }
+
+    // Entrance animation (mirrors the exit controls above)
+    setupSlider('enter-duration', 'enterDuration', settings);
+
+    const appearMode = document.getElementById('appear-mode');
+    if (appearMode) {
+        appearMode.addEventListener('change', (e) => {
+            settings.appearMode = e.target.value;
+            updateSimulationBackend();
+        });
+    }
+
+    // Random seed - restart the trail so the new seed applies from the first particle
+    const randomSeedInput = document.getElementById('random-seed');
+    if (randomSeedInput) {
+        randomSeedInput.addEventListener('input', () => {
+            const value = parseInt(randomSeedInput.value);
+            if (isNaN(value)) return;
+            settings.randomSeed = value;
+            clearCanvas();
+        });
+    }
+
+    const newSeedBtn = document.getElementById('new-seed-btn');
+    if (newSeedBtn && randomSeedInput) {
+        newSeedBtn.addEventListener('click', () => {
+            randomSeedInput.value = Math.floor(Math.random() * 1000000);
+            randomSeedInput.dispatchEvent(new Event('input', { bubbles: true }));
+        });
+    }
+
+    // Particle capacity
+    setupSlider('max-particles', 'maxParticles', settings, () => {
+        window.trailTool.applyParticleCapacity();
+    });
+    setupToggle('auto-grow-pool', 'autoGrowPool', settings);
+
+    const overflowPolicySelect = document.getElementById('overflow-policy');
+    if (overflowPolicySelect) {
+        overflowPolicySelect.addEventListener('change', (e) => {
+            settings.overflowPolicy = e.target.value;
+        });
+    }
+
+    setupToggle('gpu-simulation', 'gpuSimulation', settings, 'gpu-simulation-status');
+    document.getElementById('gpu-simulation')?.addEventListener('click', updateSimulationBackend);
+
+    // Pool usage indicator - turns into a warning once spawns are being dropped
+    const poolStatus = document.getElementById('particle-pool-status');
+    if (poolStatus) {
+        const showParticleStats = () => {
+            const stats = window.trailTool.getParticleStats();
+            if (stats.dropped > 0 || stats.recycled > 0 || stats.expired > 0) {
+                let overflow = `${stats.dropped} particles dropped`;
+                if (stats.dropped === 0) {
+                    overflow = stats.recycled > 0
+                        ? `${stats.recycled} oldest particles recycled`
+                        : `${stats.expired} oldest particles expired early`;
+                }
+                poolStatus.textContent = `Pool saturated: ${overflow} (${stats.active} / ${stats.capacity})`;
+                poolStatus.style.color = '#ff6b6b';
+                poolStatus.style.opacity = '1';
+            } else {
+                poolStatus.textContent = `${stats.active} / ${stats.capacity} particles`;
+                poolStatus.style.color = 'var(--chatooly-color-text)';
+                poolStatus.style.opacity = '0.7';
+            }
+        };
+        document.addEventListener('particle-stats-changed', showParticleStats);
+        showParticleStats();
+    }
+
+    // Which path the particles run on (the GPU one may fall back to the CPU)
+    const gpuStatus = document.getElementById('gpu-simulation-status');
+    if (gpuStatus) {
+        const showSimulationBackend = () => {
+            if (!settings.gpuSimulation) return;
+            const { backend, reason } = window.trailTool.getSimulationBackend();
+            gpuStatus.textContent = backend === 'gpu' ? 'Running on the GPU' : `CPU fallback: ${reason}`;
+        };
+        document.addEventListener('simulation-backend-changed', showSimulationBackend);
+        showSimulationBackend();
+    }
+
+    // ========== PEN INPUT ==========
+    const penDriverSelects = {
+        'size-driver': 'sizeDriver',
+        'spacing-driver': 'spacingDriver',
+        'rotation-driver': 'rotationDriver',
+        'color-driver': 'colorDriver'
+    };
+    const driverTintGroup = document.getElementById('driver-tint-group');
+
+    Object.entries(penDriverSelects).forEach(([id, key]) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        select.addEventListener('change', (e) => {
+            settings[key] = e.target.value;
+            if (key === 'sizeDriver') updateSizeControlsVisibility();
+            if (key === 'colorDriver' && driverTintGroup) {
+                driverTintGroup.style.display = settings.colorDriver !== 'none' ? 'block' : 'none';
+            }
+        });
+    });
+
+    const driverTintInput = document.getElementById('driver-tint-color');
+    if (driverTintInput) {
+        driverTintInput.addEventListener('input', (e) => {
+            settings.driverTintColor = e.target.value;
+        });
+    }
+
+    // Live readout so tablet users can check their pen reports pressure and tilt
+    const penStatus = document.getElementById('pen-status');
+    if (penStatus) {
+        document.addEventListener('pen-state-changed', () => {
+            const pen = window.trailTool.getPenState();
+            const tilt = Math.round(Math.hypot(pen.tiltX, pen.tiltY));
+            penStatus.textContent = `Pressure ${pen.pressure.toFixed(2)} · Tilt ${tilt}° · Twist ${Math.round(pen.twist)}°`;
         });
     }
 
     // ========== MOVEMENT ==========
     setupToggle('float-enabled', 'floatEnabled', settings, 'float-controls-group');
+    document.getElementById('float-enabled')?.addEventListener('click', updateSimulationBackend);
     setupSlider('float-amplitude', 'floatAmplitude', settings);
 
     // Float style dropdown
@@ -142,9 +437,16 @@ function initUIControls() {
     if (floatStyle) {
         floatStyle.addEventListener('change', (e) => {
             settings.floatStyle = e.target.value;
+            updateSimulationBackend();
+            const curlGroup = document.getElementById('curl-noise-group');
+            if (curlGroup) curlGroup.style.display = e.target.value === 'curl' ? 'block' : 'none';
         });
     }
 
+    setupSlider('curl-noise-scale', 'curlNoiseScale', settings);
+    setupSlider('curl-noise-speed', 'curlNoiseSpeed', settings);
+    setupSlider('curl-noise-octaves', 'curlNoiseOctaves', settings);
+
     setupToggle('follow-enabled', 'followEnabled', settings, 'follow-strength-group');
     setupSlider('follow-strength', 'followStrength', settings);
 
@@ -171,21 +473,219 @@ function initUIControls() {
     setupToggle('gravity-enabled', 'gravityEnabled', settings, 'gravity-controls-group');
     setupSlider('gravity-strength', 'gravityStrength', settings);
     setupSlider('bounce-amount', 'bounceAmount', settings);
+    setupToggle('collisions-enabled', 'collisionsEnabled', settings, 'collision-radius-group');
+    document.getElementById('collisions-enabled')?.addEventListener('click', updateSimulationBackend);
+    setupSlider('collision-radius', 'collisionRadius', settings);
+    setupToggle('bounds-enabled', 'boundsEnabled', settings);
+    document.getElementById('bounds-enabled')?.addEventListener('click', updateSimulationBackend);
+    setupSlider('collision-bounce', 'collisionBounce', settings);
+    setupSlider('friction', 'friction', settings);
     setupToggle('spin-enabled', 'spinEnabled', settings, 'spin-speed-group');
     setupSlider('spin-speed', 'spinSpeed', settings);
     setupToggle('tumble-enabled', 'tumbleEnabled', settings, 'tumble-speed-group');
     setupSlider('tumble-speed', 'tumbleSpeed', settings);
 
+    // ========== FORCE FIELDS ==========
+    const forceFieldEditBtn = document.getElementById('force-field-edit-btn');
+    if (forceFieldEditBtn) {
+        forceFieldEditBtn.addEventListener('click', () => {
+            const editing = !window.trailTool.isForceFieldEditMode();
+            window.trailTool.setForceFieldEditMode(editing);
+            forceFieldEditBtn.textContent = editing ? 'Done Editing' : 'Edit Fields on Canvas';
+        });
+    }
+
+    const forceFieldNewType = document.getElementById('force-field-new-type');
+    if (forceFieldNewType) {
+        forceFieldNewType.addEventListener('change', (e) => {
+            settings.forceFieldNewType = e.target.value;
+        });
+    }
+
+    setupToggle('show-force-fields', 'showForceFields', settings);
+    document.getElementById('show-force-fields')?.addEventListener('click', () => {
+        window.trailTool.updateForceFieldGuides();
+    });
+
+    // Selected field editor: every control writes straight into the field
+    const updateSelectedField = (changes) => {
+        const index = window.trailTool.getSelectedForceField();
+        if (index !== -1) window.trailTool.updateForceField(index, changes);
+    };
+
+    document.getElementById('force-field-type')?.addEventListener('change', (e) => {
+        updateSelectedField({ type: e.target.value });
+    });
+    document.getElementById('force-field-falloff')?.addEventListener('change', (e) => {
+        updateSelectedField({ falloff: e.target.value });
+    });
+    ['strength', 'radius', 'frequency'].forEach((key) => {
+        document.getElementById(`force-field-${key}`)?.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            updateSliderUI(`force-field-${key}`, value);
+            updateSelectedField({ [key]: value });
+        });
+    });
+    ['x', 'y', 'z'].forEach((axis, component) => {
+        document.getElementById(`force-field-direction-${axis}`)?.addEventListener('input', (e) => {
+            const index = window.trailTool.getSelectedForceField();
+            const field = settings.forceFields[index];
+            if (!field) return;
+            const value = parseFloat(e.target.value);
+            const direction = field.direction.slice();
+            direction[component] = value;
+            updateSliderUI(`force-field-direction-${axis}`, value);
+            updateSelectedField({ direction: direction });
+        });
+    });
+
+    document.addEventListener('force-fields-changed', rebuildForceFieldUI);
+
+    function rebuildForceFieldUI() {
+        const container = document.getElementById('force-field-list');
+        const editor = document.getElementById('force-field-editor');
+        const selected = window.trailTool.getSelectedForceField();
+
+        if (container) {
+            container.innerHTML = '';
+            settings.forceFields.forEach((field, index) => {
+                const item = document.createElement('div');
+                item.style.cssText = 'display: flex; gap: 8px; align-items: center; margin-bottom: 6px;';
+                item.innerHTML = `
+                    <button class="chatooly-btn field-select-btn" style="flex: 1; padding: 4px 8px; font-size: 12px; text-align: left;"></button>
+                    <button class="chatooly-btn field-remove-btn" style="padding: 2px 6px; min-width: auto; font-size: 12px;">×</button>
+                `;
+                const selectBtn = item.querySelector('.field-select-btn');
+                selectBtn.textContent = `${index + 1}. ${field.type.charAt(0).toUpperCase()}${field.type.slice(1)}`;
+                if (index === selected) selectBtn.style.fontWeight = '600';
+                selectBtn.addEventListener('click', () => {
+                    window.trailTool.selectForceField(index);
+                });
+                item.querySelector('.field-remove-btn').addEventListener('click', () => {
+                    window.trailTool.removeForceField(index);
+                });
+                container.appendChild(item);
+            });
+        }
+
+        // Show the selected field's values in the editor
+        const field = settings.forceFields[selected];
+        if (editor) editor.style.display = field ? 'block' : 'none';
+        if (!field) return;
+
+        const typeSelect = document.getElementById('force-field-type');
+        const falloffSelect = document.getElementById('force-field-falloff');
+        if (typeSelect) typeSelect.value = field.type;
+        if (falloffSelect) falloffSelect.value = field.falloff;
+        updateSliderUI('force-field-strength', field.strength);
+        updateSliderUI('force-field-radius', field.radius);
+        updateSliderUI('force-field-frequency', field.frequency ?? 1);
+        ['x', 'y', 'z'].forEach((axis, component) => {
+            updateSliderUI(`force-field-direction-${axis}`, field.direction[component]);
+        });
+
+        const directionGroup = document.getElementById('force-field-direction-group');
+        const frequencyGroup = document.getElementById('force-field-frequency-group');
+        if (directionGroup) directionGroup.style.display = field.type === 'wind' || field.type === 'vortex' ? 'block' : 'none';
+        if (frequencyGroup) frequencyGroup.style.display = field.type === 'turbulence' ? 'block' : 'none';
+    }
+
     // ========== LOOK AT MOUSE ANIMATION ==========
     setupToggle('look-at-mouse-enabled', 'lookAtMouseEnabled', settings, 'look-at-mouse-controls');
+    document.getElementById('look-at-mouse-enabled')?.addEventListener('click', updateSimulationBackend);
     setupSlider('look-at-mouse-strength', 'lookAtMouseStrength', settings);
     setupSlider('look-at-max-left', 'lookAtMaxAngleLeft', settings);
     setupSlider('look-at-max-right', 'lookAtMaxAngleRight', settings);
     setupSlider('look-at-max-up', 'lookAtMaxAngleUp', settings);
     setupSlider('look-at-max-down', 'lookAtMaxAngleDown', settings);
 
+    // ========== DRAWING SURFACE ==========
+    const updateDrawTarget = () => window.trailTool?.updateDrawTarget?.();
+
+    const drawTargetSelect = document.getElementById('draw-target');
+    if (drawTargetSelect) {
+        drawTargetSelect.addEventListener('change', (e) => {
+            settings.drawTarget = e.target.value;
+            const groups = { plane: 'draw-plane-group', sphere: 'draw-sphere-group', mesh: 'draw-mesh-group' };
+            Object.entries(groups).forEach(([target, id]) => {
+                const group = document.getElementById(id);
+                if (group) group.style.display = settings.drawTarget === target ? 'block' : 'none';
+            });
+            updateDrawTarget();
+        });
+    }
+
+    const drawPlaneOrientation = document.getElementById('draw-plane-orientation');
+    if (drawPlaneOrientation) {
+        drawPlaneOrientation.addEventListener('change', (e) => {
+            settings.drawPlaneOrientation = e.target.value;
+        });
+    }
+
+    setupSlider('draw-plane-depth', 'drawPlaneDepth', settings);
+    setupSlider('draw-sphere-radius', 'drawSphereRadius', settings, updateDrawTarget);
+    setupSlider('draw-target-size', 'drawTargetSize', settings, updateDrawTarget);
+    setupSlider('surface-offset', 'surfaceOffset', settings);
+    setupToggle('align-to-surface', 'alignToSurface', settings);
+    document.getElementById('align-to-surface')?.addEventListener('click', updateSimulationBackend);
+    setupToggle('show-draw-target', 'showDrawTarget', settings);
+    document.getElementById('show-draw-target')?.addEventListener('click', updateDrawTarget);
+
+    // Depth control
+    setupToggle('depth-wheel-enabled', 'depthWheelEnabled', settings);
+    setupToggle('depth-keys-enabled', 'depthKeysEnabled', settings);
+    setupSlider('depth-step', 'depthStep', settings);
+    setupSlider('depth-key-speed', 'depthKeySpeed', settings);
+    setupSlider('depth-limit', 'depthLimit', settings, () => {
+        // Re-clamp the current depth to the new limit
+        window.trailTool.setDrawDepth(window.trailTool.getDrawDepth());
+    });
+    setupToggle('depth-oscillation', 'depthOscillation', settings, 'depth-oscillation-group');
+    setupSlider('depth-oscillation-amplitude', 'depthOscillationAmplitude', settings);
+    setupSlider('depth-oscillation-speed', 'depthOscillationSpeed', settings);
+
+    document.getElementById('reset-draw-depth')?.addEventListener('click', () => {
+        window.trailTool.setDrawDepth(0);
+    });
+
+    const drawDepthStatus = document.getElementById('draw-depth-status');
+    if (drawDepthStatus) {
+        document.addEventListener('draw-depth-changed', () => {
+            drawDepthStatus.textContent = `Depth ${window.trailTool.getDrawDepth().toFixed(2)}`;
+        });
+    }
+
+    // Surface mesh upload
+    const drawTargetUpload = document.getElementById('draw-target-upload');
+    const drawTargetInfo = document.getElementById('draw-target-info');
+    const drawTargetName = document.getElementById('draw-target-name');
+
+    if (drawTargetUpload) {
+        drawTargetUpload.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                await window.trailTool.loadDrawTargetModel(file);
+                if (drawTargetName) drawTargetName.textContent = file.name;
+                if (drawTargetInfo) drawTargetInfo.style.display = 'block';
+            } catch (error) {
+                alert('Failed to load surface GLB "' + file.name + '": ' + error.message);
+            }
+            drawTargetUpload.value = '';
+        });
+    }
+
+    const clearDrawTarget = document.getElementById('clear-draw-target');
+    if (clearDrawTarget) {
+        clearDrawTarget.addEventListener('click', () => {
+            window.trailTool.clearDrawTargetModel();
+            if (drawTargetInfo) drawTargetInfo.style.display = 'none';
+        });
+    }
+
     // ========== CAMERA CONTROLS ==========
-    // Camera position sliders (X and Y only, Z is controlled via FOV zoom)
+    // Camera position sliders - pan the camera together with its look-at target
     setupSlider('camera-x', 'cameraX', settings, (value) => {
         if (window.trailTool?.setCameraPosition) {
             window.trailTool.setCameraPosition(value, undefined, undefined);
@@ -196,11 +696,32 @@ function initUIControls() {
             window.trailTool.setCameraPosition(undefined, value, undefined);
         }
     });
+    setupSlider('camera-z', 'cameraZ', settings, (value) => {
+        if (window.trailTool?.setCameraPosition) {
+            window.trailTool.setCameraPosition(undefined, undefined, value);
+        }
+    });
     setupSlider('camera-fov', 'cameraFOV', settings, (value) => {
         if (window.trailTool?.setCameraFOV) {
             window.trailTool.setCameraFOV(value);
         }
     });
+    setupSlider('camera-zoom', 'cameraZoom', settings, (value) => {
+        window.trailTool?.setCameraZoom?.(value);
+    });
+
+    // Orthographic projection swaps the FOV slider for zoom
+    const cameraProjectionSelect = document.getElementById('camera-projection');
+    if (cameraProjectionSelect) {
+        cameraProjectionSelect.addEventListener('change', (e) => {
+            const orthographic = e.target.value === 'orthographic';
+            const fovGroup = document.getElementById('camera-fov-group');
+            const zoomGroup = document.getElementById('camera-zoom-group');
+            if (fovGroup) fovGroup.style.display = orthographic ? 'none' : 'block';
+            if (zoomGroup) zoomGroup.style.display = orthographic ? 'block' : 'none';
+            window.trailTool?.setCameraProjection?.(e.target.value);
+        });
+    }
 
     // Camera preset buttons
     document.querySelectorAll('.camera-preset').forEach(btn => {
@@ -208,14 +729,128 @@ function initUIControls() {
             const view = btn.dataset.view;
             if (window.trailTool?.setCameraPreset) {
                 window.trailTool.setCameraPreset(view);
-                // Update sliders to reflect new position
-                const newSettings = window.trailTool.settings;
-                updateSliderUI('camera-x', newSettings.cameraX);
-                updateSliderUI('camera-y', newSettings.cameraY);
             }
         });
     });
 
+    // Keep the sliders in step with orbiting, transitions and preset loads
+    document.addEventListener('camera-changed', () => {
+        updateSliderUI('camera-x', Math.round(settings.cameraX * 100) / 100);
+        updateSliderUI('camera-y', Math.round(settings.cameraY * 100) / 100);
+        updateSliderUI('camera-z', Math.round(settings.cameraZ * 100) / 100);
+        updateSliderUI('camera-fov', Math.round(settings.cameraFOV));
+        updateSliderUI('camera-zoom', Math.round(settings.cameraZoom * 100) / 100);
+    });
+
+    setupSlider('camera-transition-duration', 'cameraTransitionDuration', settings);
+
+    // Orbit mode
+    setupToggle('orbit-enabled', 'orbitEnabled', settings);
+    document.getElementById('orbit-enabled')?.addEventListener('click', () => {
+        window.trailTool.applyOrbitSettings();
+    });
+    setupSlider('orbit-damping', 'orbitDamping', settings, () => {
+        window.trailTool.applyOrbitSettings();
+    });
+
+    // Camera bookmarks
+    document.getElementById('add-camera-bookmark')?.addEventListener('click', () => {
+        window.trailTool.addCameraBookmark();
+    });
+    document.addEventListener('camera-bookmarks-changed', rebuildCameraBookmarksUI);
+
+    function rebuildCameraBookmarksUI() {
+        const container = document.getElementById('camera-bookmark-list');
+        if (!container) return;
+
+        container.innerHTML = '';
+        settings.cameraBookmarks.forEach((bookmark, index) => {
+            const item = document.createElement('div');
+            item.style.cssText = 'display: flex; gap: 8px; align-items: center; margin-bottom: 6px;';
+            item.innerHTML = `
+                <button class="chatooly-btn bookmark-go-btn" style="flex: 1; padding: 4px 8px; font-size: 12px; text-align: left;"></button>
+                <button class="chatooly-btn bookmark-remove-btn" style="padding: 2px 6px; min-width: auto; font-size: 12px;">×</button>
+            `;
+            item.querySelector('.bookmark-go-btn').textContent = bookmark.name;
+            item.querySelector('.bookmark-go-btn').addEventListener('click', () => {
+                window.trailTool.goToCameraBookmark(index);
+            });
+            item.querySelector('.bookmark-remove-btn').addEventListener('click', () => {
+                window.trailTool.removeCameraBookmark(index);
+            });
+            container.appendChild(item);
+        });
+    }
+
+    // ========== CAMERA PATH ==========
+    const cameraPathPlayBtn = document.getElementById('camera-path-play-btn');
+    const cameraPathInfo = document.getElementById('camera-path-info');
+
+    document.getElementById('add-camera-path-keyframe')?.addEventListener('click', () => {
+        window.trailTool.addCameraPathKeyframe();
+    });
+    document.addEventListener('camera-path-changed', rebuildCameraPathUI);
+    // Playback also starts with gesture playback and ends on its own
+    document.addEventListener('camera-path-playback-changed', updateCameraPathPlayback);
+
+    if (cameraPathPlayBtn) {
+        cameraPathPlayBtn.addEventListener('click', () => {
+            if (window.trailTool.isPlayingCameraPath()) {
+                window.trailTool.stopCameraPath();
+            } else {
+                window.trailTool.startCameraPath();
+            }
+        });
+    }
+
+    setupToggle('camera-path-smooth', 'cameraPathSmooth', settings);
+    setupToggle('camera-path-loop', 'cameraPathLoop', settings);
+    setupToggle('camera-path-enabled', 'cameraPathEnabled', settings);
+
+    function rebuildCameraPathUI() {
+        const container = document.getElementById('camera-path-keyframe-list');
+        if (!container) return;
+
+        container.innerHTML = '';
+        settings.cameraPathKeyframes.forEach((keyframe, index) => {
+            const item = document.createElement('div');
+            item.style.cssText = 'display: flex; gap: 8px; align-items: center; margin-bottom: 6px;';
+            item.innerHTML = `
+                <input type="number" class="chatooly-input keyframe-time-input" min="0" step="0.1" style="flex: 1; min-width: 0;">
+                <button class="chatooly-btn keyframe-go-btn" style="padding: 4px 8px; font-size: 12px;">View</button>
+                <button class="chatooly-btn keyframe-remove-btn" style="padding: 2px 6px; min-width: auto; font-size: 12px;">×</button>
+            `;
+            const timeInput = item.querySelector('.keyframe-time-input');
+            timeInput.value = keyframe.time;
+            // Changing a time can reorder the keyframes, which rebuilds the list
+            timeInput.addEventListener('change', () => {
+                window.trailTool.setCameraPathKeyframeTime(index, parseFloat(timeInput.value));
+            });
+            item.querySelector('.keyframe-go-btn').addEventListener('click', () => {
+                window.trailTool.goToCameraPathKeyframe(index);
+            });
+            item.querySelector('.keyframe-remove-btn').addEventListener('click', () => {
+                window.trailTool.removeCameraPathKeyframe(index);
+            });
+            container.appendChild(item);
+        });
+
+        updateCameraPathPlayback();
+    }
+
+    function updateCameraPathPlayback() {
+        const count = settings.cameraPathKeyframes.length;
+        if (cameraPathPlayBtn) {
+            cameraPathPlayBtn.textContent = window.trailTool.isPlayingCameraPath() ? 'Stop Path' : 'Play Path';
+            cameraPathPlayBtn.disabled = count === 0;
+        }
+        if (cameraPathInfo) {
+            cameraPathInfo.textContent = count > 0
+                ? `${count} keyframe${count === 1 ? '' : 's'}, ${window.trailTool.getCameraPathDuration().toFixed(1)}s`
+                : 'No keyframes';
+        }
+    }
+
     // Helper to update slider UI after preset
     function updateSliderUI(sliderId, value) {
         const slider = document.getElementById(sliderId);
@@ -272,6 +907,203 @@ function initUIControls() {
         }
     });
 
+    // ========== LIFETIME CURVES ==========
+    // Value axis per property: multipliers go up to 2x (rotation 4x), color mix is a 0-1 ratio
+    const LIFETIME_CURVE_RANGES = {
+        scale: [0, 2],
+        rotationSpeed: [0, 4],
+        floatAmplitude: [0, 2],
+        gravity: [0, 2],
+        colorMix: [0, 1]
+    };
+    const curveSelect = document.getElementById('lifetime-curve-select');
+    const curveEnabledToggle = document.getElementById('lifetime-curve-enabled');
+    const curveSmoothToggle = document.getElementById('lifetime-curve-smooth');
+    const curveCanvas = document.getElementById('lifetime-curve-canvas');
+    const curveResetBtn = document.getElementById('lifetime-curve-reset');
+
+    if (curveSelect && curveCanvas && window.CurveEditor) {
+        const curveEditor = new CurveEditor(curveCanvas);
+
+        const showCurve = () => {
+            const curve = settings.lifetimeCurves[curveSelect.value];
+            curveEnabledToggle.setAttribute('aria-pressed', curve.enabled);
+            curveSmoothToggle.setAttribute('aria-pressed', curve.smooth);
+            curveEditor.setCurve(curve, LIFETIME_CURVE_RANGES[curveSelect.value]);
+        };
+
+        curveSelect.addEventListener('change', showCurve);
+
+        curveEnabledToggle.addEventListener('click', () => {
+            const curve = settings.lifetimeCurves[curveSelect.value];
+            curve.enabled = !curve.enabled;
+            showCurve();
+        });
+
+        curveSmoothToggle.addEventListener('click', () => {
+            const curve = settings.lifetimeCurves[curveSelect.value];
+            curve.smooth = !curve.smooth;
+            showCurve();
+        });
+
+        curveResetBtn.addEventListener('click', () => {
+            // Flat line at the neutral value (1x, or a straight age ramp for color mix)
+            const curve = settings.lifetimeCurves[curveSelect.value];
+            curve.points = curveSelect.value === 'colorMix'
+                ? [{ t: 0, v: 0 }, { t: 1, v: 1 }]
+                : [{ t: 0, v: 1 }, { t: 1, v: 1 }];
+            showCurve();
+        });
+
+        // Presets replace settings.lifetimeCurves wholesale
+        document.addEventListener('preset-curves-loaded', showCurve);
+
+        showCurve();
+    }
+
+    // ========== GESTURE RECORDER ==========
+    const gestureRecordBtn = document.getElementById('gesture-record-btn');
+    const gesturePlayBtn = document.getElementById('gesture-play-btn');
+    const gestureSaveBtn = document.getElementById('gesture-save-btn');
+    const gestureUpload = document.getElementById('gesture-upload');
+    const gestureInfo = document.getElementById('gesture-info');
+
+    // Refresh button labels and track info from the recorder state in main.js
+    function updateGestureUI() {
+        const tool = window.trailTool;
+        const isRecording = tool.isRecordingGesture();
+        const isPlaying = tool.isPlayingGesture();
+        const track = tool.getGestureTrack();
+
+        if (gestureRecordBtn) gestureRecordBtn.textContent = isRecording ? 'Stop Recording' : 'Record';
+        if (gesturePlayBtn) {
+            gesturePlayBtn.textContent = isPlaying ? 'Stop' : 'Play';
+            gesturePlayBtn.disabled = !track || isRecording;
+        }
+        if (gestureSaveBtn) gestureSaveBtn.disabled = !track || isRecording;
+        if (gestureInfo) {
+            if (isRecording) {
+                gestureInfo.textContent = 'Recording... draw on the canvas';
+            } else if (track) {
+                gestureInfo.textContent = `${track.samples.length} samples, ${track.duration.toFixed(1)}s`;
+            } else {
+                gestureInfo.textContent = 'No gesture recorded';
+            }
+        }
+    }
+
+    if (gestureRecordBtn) {
+        gestureRecordBtn.addEventListener('click', () => {
+            if (window.trailTool.isRecordingGesture()) {
+                window.trailTool.stopGestureRecording();
+            } else {
+                window.trailTool.startGestureRecording();
+            }
+            updateGestureUI();
+        });
+    }
+
+    if (gesturePlayBtn) {
+        gesturePlayBtn.addEventListener('click', () => {
+            if (window.trailTool.isPlayingGesture()) {
+                window.trailTool.stopGesturePlayback();
+            } else {
+                window.trailTool.startGesturePlayback();
+            }
+            updateGestureUI();
+        });
+    }
+
+    // Playback can end on its own when the track finishes
+    document.addEventListener('gesture-playback-ended', updateGestureUI);
+
+    setupToggle('gesture-loop', 'gestureLoop', settings);
+
+    if (gestureSaveBtn) {
+        gestureSaveBtn.addEventListener('click', () => {
+            const name = prompt('Enter gesture name:');
+            if (!name || !name.trim()) {
+                return;
+            }
+            window.trailTool.saveGestureTrack(name.trim());
+        });
+    }
+
+    if (gestureUpload) {
+        gestureUpload.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = (event) => {
+                try {
+                    window.trailTool.loadGestureTrack(JSON.parse(event.target.result));
+                    updateGestureUI();
+                } catch (err) {
+                    alert('Invalid gesture file: ' + err.message);
+                }
+            };
+            reader.readAsText(file);
+            e.target.value = ''; // Reset input
+        });
+    }
+
+    // ========== SEQUENCE EXPORT ==========
+    const exportFps = document.getElementById('export-fps');
+    if (exportFps) {
+        exportFps.addEventListener('change', (e) => {
+            settings.exportFps = parseInt(e.target.value);
+        });
+    }
+
+    setupSlider('export-duration', 'exportDuration', settings);
+
+    const exportScale = document.getElementById('export-scale');
+    if (exportScale) {
+        exportScale.addEventListener('change', (e) => {
+            settings.exportScale = parseFloat(e.target.value);
+        });
+    }
+
+    const exportFormat = document.getElementById('export-format');
+    if (exportFormat) {
+        exportFormat.addEventListener('change', (e) => {
+            settings.exportFormat = e.target.value;
+        });
+    }
+
+    setupToggle('export-replay-gesture', 'exportReplayGesture', settings);
+
+    const exportSequenceBtn = document.getElementById('export-sequence-btn');
+    const exportSequenceStatus = document.getElementById('export-sequence-status');
+    if (exportSequenceBtn) {
+        exportSequenceBtn.addEventListener('click', async () => {
+            if (window.trailTool.isRenderingSequence()) return;
+
+            exportSequenceBtn.disabled = true;
+            if (exportSequenceStatus) {
+                exportSequenceStatus.style.display = 'block';
+                exportSequenceStatus.textContent = 'Preparing...';
+            }
+
+            try {
+                await window.trailTool.renderSequence((frame, total) => {
+                    if (exportSequenceStatus) {
+                        exportSequenceStatus.textContent = `Rendering frame ${frame} / ${total}`;
+                    }
+                });
+                if (exportSequenceStatus) exportSequenceStatus.textContent = 'Export complete';
+            } catch (error) {
+                console.error('Sequence export failed:', error);
+                alert('Sequence export failed: ' + error.message);
+                if (exportSequenceStatus) exportSequenceStatus.style.display = 'none';
+            } finally {
+                exportSequenceBtn.disabled = false;
+                updateGestureUI();
+            }
+        });
+    }
+
     // ========== BACKGROUND (handled in main.js but UI toggle here) ==========
     const transparentToggle = document.getElementById('transparent-bg');
     if (transparentToggle) {
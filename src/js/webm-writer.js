@@ -0,0 +1,168 @@
+/*
+ * WebM Writer
+ *
+ * Minimal WebM (Matroska) muxer for one VP8 / VP9 video track.
+ * Used by the 3D Trail sequence export to package frames from a WebCodecs
+ * VideoEncoder. Every frame keeps the timestamp it was encoded with, and the
+ * alpha plane, when the encoder produces one, goes in a BlockAdditional.
+ */
+
+class WebMWriter {
+    /**
+     * @param {Object} options
+     * @param {string} options.codec - Matroska codec ID ('V_VP9' or 'V_VP8')
+     * @param {number} options.width - Frame width in pixels
+     * @param {number} options.height - Frame height in pixels
+     * @param {boolean} options.alpha - Frames carry an alpha plane
+     */
+    constructor({ codec, width, height, alpha = false }) {
+        this.codec = codec;
+        this.width = width;
+        this.height = height;
+        this.alpha = alpha;
+        this.clusters = [];   // [{ timestamp, parts }]
+        this.cluster = null;
+        this.lastTimestamp = 0;
+    }
+
+    /**
+     * Add an encoded frame (frames must come in presentation order)
+     * @param {Uint8Array} data - Encoded VP8 / VP9 frame
+     * @param {number} timestamp - Milliseconds from the start of the video
+     * @param {boolean} keyFrame - True for frames that decode on their own
+     * @param {Uint8Array} alphaData - Encoded alpha plane, or null
+     */
+    addFrame(data, timestamp, keyFrame, alphaData = null) {
+        timestamp = Math.round(timestamp);
+
+        // Block timecodes are 16-bit offsets from their cluster's, so a cluster
+        // starts at every key frame (and before an offset would overflow)
+        if (!this.cluster || keyFrame || timestamp - this.cluster.timestamp > 32767) {
+            this.cluster = { timestamp, parts: [] };
+            this.clusters.push(this.cluster);
+        }
+
+        // Block header: track number, timecode offset, flags
+        const header = new DataView(new ArrayBuffer(4));
+        header.setUint8(0, 0x81);  // Track 1
+        header.setInt16(1, timestamp - this.cluster.timestamp);
+        const headerBytes = new Uint8Array(header.buffer);
+
+        if (!alphaData) {
+            header.setUint8(3, keyFrame ? 0x80 : 0);
+            this.cluster.parts.push(...WebMWriter.element(0xA3, [headerBytes, data]));  // SimpleBlock
+        } else {
+            // A BlockGroup carries the alpha plane; frames without a ReferenceBlock are key frames
+            const group = [
+                ...WebMWriter.element(0xA1, [headerBytes, data]),  // Block
+                ...WebMWriter.element(0x75A1, WebMWriter.element(0xA6, [  // BlockAdditions > BlockMore
+                    ...WebMWriter.uint(0xEE, 1),                  // BlockAddID: alpha
+                    ...WebMWriter.element(0xA5, [alphaData])      // BlockAdditional
+                ]))
+            ];
+            if (!keyFrame) {
+                const reference = new DataView(new ArrayBuffer(2));
+                reference.setInt16(0, Math.max(-32768, this.lastTimestamp - timestamp));
+                group.push(...WebMWriter.element(0xFB, [new Uint8Array(reference.buffer)]));  // ReferenceBlock
+            }
+            this.cluster.parts.push(...WebMWriter.element(0xA0, group));  // BlockGroup
+        }
+        this.lastTimestamp = timestamp;
+    }
+
+    /**
+     * Finish the file
+     * @param {number} duration - Length of the video in milliseconds
+     * @returns {Blob} video/webm blob
+     */
+    generate(duration) {
+        const header = WebMWriter.element(0x1A45DFA3, [  // EBML
+            ...WebMWriter.uint(0x4286, 1),       // EBMLVersion
+            ...WebMWriter.uint(0x42F7, 1),       // EBMLReadVersion
+            ...WebMWriter.uint(0x42F2, 4),       // EBMLMaxIDLength
+            ...WebMWriter.uint(0x42F3, 8),       // EBMLMaxSizeLength
+            ...WebMWriter.string(0x4282, 'webm'), // DocType
+            ...WebMWriter.uint(0x4287, 4),       // DocTypeVersion (BlockAdditions need 4)
+            ...WebMWriter.uint(0x4285, 2)        // DocTypeReadVersion
+        ]);
+
+        const info = WebMWriter.element(0x1549A966, [
+            ...WebMWriter.uint(0x2AD7B1, 1000000),  // TimecodeScale: timecodes in milliseconds
+            ...WebMWriter.float(0x4489, duration),  // Duration
+            ...WebMWriter.string(0x4D80, '3D Trail'),  // MuxingApp
+            ...WebMWriter.string(0x5741, '3D Trail')   // WritingApp
+        ]);
+
+        const video = [
+            ...WebMWriter.uint(0xB0, this.width),   // PixelWidth
+            ...WebMWriter.uint(0xBA, this.height)   // PixelHeight
+        ];
+        if (this.alpha) video.push(...WebMWriter.uint(0x53C0, 1));  // AlphaMode
+        const tracks = WebMWriter.element(0x1654AE6B, WebMWriter.element(0xAE, [  // Tracks > TrackEntry
+            ...WebMWriter.uint(0xD7, 1),             // TrackNumber
+            ...WebMWriter.uint(0x73C5, 1),           // TrackUID
+            ...WebMWriter.uint(0x83, 1),             // TrackType: video
+            ...WebMWriter.uint(0x9C, 0),             // FlagLacing
+            ...WebMWriter.string(0x86, this.codec),  // CodecID
+            ...WebMWriter.element(0xE0, video)       // Video
+        ]));
+
+        const clusters = this.clusters.flatMap(cluster => WebMWriter.element(0x1F43B675, [
+            ...WebMWriter.uint(0xE7, cluster.timestamp),  // Timecode
+            ...cluster.parts
+        ]));
+
+        const segment = WebMWriter.element(0x18538067, [...info, ...tracks, ...clusters]);
+        return new Blob([...header, ...segment], { type: 'video/webm' });
+    }
+
+    /**
+     * EBML element: ID, size and content
+     * @param {number} id - Element ID, marker bits included
+     * @param {Array<Uint8Array>} content - Encoded children or data
+     * @returns {Array<Uint8Array>} Parts, kept separate so frames aren't copied
+     */
+    static element(id, content) {
+        const idLength = id > 0xFFFFFF ? 4 : id > 0xFFFF ? 3 : id > 0xFF ? 2 : 1;
+        const size = content.reduce((sum, part) => sum + part.length, 0);
+        return [WebMWriter.bytes(id, idLength), WebMWriter.vint(size), ...content];
+    }
+
+    static uint(id, value) {
+        let length = 1;
+        while (length < 8 && value >= 2 ** (8 * length)) length++;
+        return WebMWriter.element(id, [WebMWriter.bytes(value, length)]);
+    }
+
+    static float(id, value) {
+        const data = new DataView(new ArrayBuffer(8));
+        data.setFloat64(0, value);
+        return WebMWriter.element(id, [new Uint8Array(data.buffer)]);
+    }
+
+    static string(id, text) {
+        return WebMWriter.element(id, [new TextEncoder().encode(text)]);
+    }
+
+    // Element size as a variable-length integer (all ones is reserved for "unknown")
+    static vint(value) {
+        let length = 1;
+        while (length < 8 && value >= 2 ** (7 * length) - 1) length++;
+        const bytes = WebMWriter.bytes(value, length);
+        bytes[0] |= 0x80 >> (length - 1);
+        return bytes;
+    }
+
+    // Big-endian unsigned integer in length bytes
+    static bytes(value, length) {
+        const bytes = new Uint8Array(length);
+        for (let i = length - 1; i >= 0; i--) {
+            bytes[i] = value % 256;
+            value = Math.floor(value / 256);
+        }
+        return bytes;
+    }
+}
+
+// Export to global scope
+window.WebMWriter = WebMWriter;
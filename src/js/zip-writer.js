@@ -0,0 +1,107 @@
+/*
+ * Zip Writer
+ *
+ * Minimal uncompressed (STORE) ZIP archive builder.
+ * Used by the 3D Trail sequence export to package PNG frames.
+ * PNG data is already compressed, so storing without deflate keeps it fast.
+ */
+
+class ZipWriter {
+    constructor() {
+        this.entries = [];  // [{ name, data, crc, offset }]
+        this.chunks = [];
+        this.offset = 0;
+    }
+
+    /**
+     * Add a file to the archive
+     * @param {string} name - Path inside the archive (e.g. 'frame_00001.png')
+     * @param {Uint8Array} data - File contents
+     */
+    addFile(name, data) {
+        const nameBytes = new TextEncoder().encode(name);
+        const crc = ZipWriter.crc32(data);
+
+        // Local file header
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);   // Signature
+        header.setUint16(4, 20, true);           // Version needed
+        header.setUint16(6, 0x0800, true);       // Flags (UTF-8 names)
+        header.setUint16(8, 0, true);            // Method: store
+        header.setUint16(10, 0, true);           // Mod time
+        header.setUint16(12, 0x21, true);        // Mod date (1980-01-01)
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true); // Compressed size
+        header.setUint32(22, data.length, true); // Uncompressed size
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);           // Extra field length
+
+        this.entries.push({ nameBytes, size: data.length, crc, offset: this.offset });
+        this.chunks.push(new Uint8Array(header.buffer), nameBytes, data);
+        this.offset += 30 + nameBytes.length + data.length;
+    }
+
+    /**
+     * Finish the archive
+     * @returns {Blob} application/zip blob
+     */
+    generate() {
+        const centralChunks = [];
+        let centralSize = 0;
+
+        this.entries.forEach((entry) => {
+            const record = new DataView(new ArrayBuffer(46));
+            record.setUint32(0, 0x02014b50, true);   // Signature
+            record.setUint16(4, 20, true);           // Version made by
+            record.setUint16(6, 20, true);           // Version needed
+            record.setUint16(8, 0x0800, true);       // Flags (UTF-8 names)
+            record.setUint16(10, 0, true);           // Method: store
+            record.setUint16(12, 0, true);           // Mod time
+            record.setUint16(14, 0x21, true);        // Mod date
+            record.setUint32(16, entry.crc, true);
+            record.setUint32(20, entry.size, true);
+            record.setUint32(24, entry.size, true);
+            record.setUint16(28, entry.nameBytes.length, true);
+            record.setUint32(42, entry.offset, true); // Local header offset
+            centralChunks.push(new Uint8Array(record.buffer), entry.nameBytes);
+            centralSize += 46 + entry.nameBytes.length;
+        });
+
+        // End of central directory record
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, this.offset, true);
+
+        return new Blob([...this.chunks, ...centralChunks, new Uint8Array(end.buffer)], { type: 'application/zip' });
+    }
+
+    /**
+     * CRC-32 checksum (IEEE polynomial) as required by the ZIP format
+     * @param {Uint8Array} data
+     * @returns {number} Unsigned 32-bit checksum
+     */
+    static crc32(data) {
+        if (!ZipWriter.crcTable) {
+            ZipWriter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+                }
+                ZipWriter.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = ZipWriter.crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+}
+
+// Export to global scope
+window.ZipWriter = ZipWriter;